@@ -12,7 +12,7 @@ const Home = () => {
     const fetchPapers = async () => {
         try {
             const res = await axios.get(`http://localhost:5000/api/papers/search?query=${search}`);
-            setPapers(res.data);
+            setPapers(res.data.papers);
         } catch (err) {
             console.error(err);
         }
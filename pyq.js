@@ -25,6 +25,8 @@ class API {
         }
 
         this.token = localStorage.getItem('token');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        this._refreshing = null;
 
         // Validation for Production Deployment
         if (window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1' && window.location.protocol !== 'file:') {
@@ -39,7 +41,12 @@ class API {
         const contentType = res.headers.get("content-type");
         if (contentType && contentType.indexOf("application/json") !== -1) {
             const data = await res.json();
-            if (!res.ok) throw new Error(data.msg || 'Request failed');
+            if (!res.ok) {
+                // Keep the whole body around for callers that need more than the message
+                const error = new Error(data.msg || 'Request failed');
+                error.data = data;
+                throw error;
+            }
             return data;
         } else {
             // If response is not JSON (e.g. 404 HTML page or empty), throw error
@@ -49,6 +56,56 @@ class API {
         }
     }
 
+    _setTokens({ token, refreshToken }) {
+        this.token = token;
+        this.refreshToken = refreshToken;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+    }
+
+    // Swap the refresh token for a new token pair. Concurrent callers share one request,
+    // since the refresh token rotates and can only be used once. The token is read from
+    // localStorage each time: another tab may have rotated it, and replaying the old one
+    // revokes the session.
+    async refresh() {
+        if (!this._refreshing) {
+            this.refreshToken = localStorage.getItem('refreshToken');
+            if (!this.refreshToken) return false;
+            this._refreshing = (async () => {
+                try {
+                    const res = await fetch(`${this.baseUrl}/auth/refresh`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken: this.refreshToken })
+                    });
+                    if (!res.ok) return false;
+                    this._setTokens(await res.json());
+                    return true;
+                } catch (e) {
+                    console.error('Token refresh failed', e);
+                    return false;
+                } finally {
+                    this._refreshing = null;
+                }
+            })();
+        }
+        return this._refreshing;
+    }
+
+    // fetch with the access token; on 401 refresh once and retry
+    async _authFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), 'x-auth-token': this.token }
+        });
+
+        let res = await send();
+        if (res.status === 401 && await this.refresh()) {
+            res = await send();
+        }
+        return res;
+    }
+
     async login(email, password) {
         const res = await fetch(`${this.baseUrl}/auth/login`, {
             method: 'POST',
@@ -56,8 +113,7 @@ class API {
             body: JSON.stringify({ email, password })
         });
         const data = await this._handleResponse(res);
-        this.token = data.token;
-        localStorage.setItem('token', this.token);
+        this._setTokens(data);
         return this.getUser();
     }
 
@@ -68,16 +124,13 @@ class API {
             body: JSON.stringify(userData)
         });
         const data = await this._handleResponse(res);
-        this.token = data.token;
-        localStorage.setItem('token', this.token);
+        this._setTokens(data);
         return this.getUser();
     }
 
     async getUser() {
         if (!this.token) return null;
-        const res = await fetch(`${this.baseUrl}/auth/profile`, {
-            headers: { 'x-auth-token': this.token }
-        });
+        const res = await this._authFetch(`${this.baseUrl}/auth/profile`);
 
         if (!res.ok) {
             this.logout();
@@ -87,29 +140,101 @@ class API {
     }
 
     logout() {
+        // Revoke this device's session on the server; local state is cleared either way
+        if (this.refreshToken) {
+            fetch(`${this.baseUrl}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            }).catch(e => console.error('Logout request failed', e));
+        }
+
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('currentUser');
     }
 
+    async getSessions() {
+        const res = await this._authFetch(`${this.baseUrl}/auth/sessions`);
+        return await this._handleResponse(res);
+    }
+
+    async revokeSession(sessionId) {
+        const res = await this._authFetch(`${this.baseUrl}/auth/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async logoutEverywhere() {
+        const res = await this._authFetch(`${this.baseUrl}/auth/sessions`, {
+            method: 'DELETE'
+        });
+        return await this._handleResponse(res);
+    }
+
     async addPaper(formData) {
-        const res = await fetch(`${this.baseUrl}/papers/upload`, {
+        const res = await this._authFetch(`${this.baseUrl}/papers/upload`, {
+            method: 'POST',
+            body: formData
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getPaperVersions(paperId) {
+        const res = await fetch(`${this.baseUrl}/papers/${paperId}/versions`);
+        return await this._handleResponse(res);
+    }
+
+    // formData: the new scan as `file`
+    async addPaperVersion(paperId, formData) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}/versions`, {
             method: 'POST',
-            headers: { 'x-auth-token': this.token },
             body: formData
         });
         return await this._handleResponse(res);
     }
 
-    async getAllPapers(query = '') {
-        const res = await fetch(`${this.baseUrl}/papers/search?query=${query}`);
+    // params: query, year, semester, page, limit, ... (see GET /api/papers/search)
+    async searchPapers(params = {}) {
+        const res = await fetch(`${this.baseUrl}/papers/search?${new URLSearchParams(params)}`);
+        return await this._handleResponse(res);
+    }
+
+    async getLevelRules() {
+        const res = await fetch(`${this.baseUrl}/levels`);
+        return await this._handleResponse(res);
+    }
+
+    async getBadges() {
+        const res = await fetch(`${this.baseUrl}/badges`);
+        return await this._handleResponse(res);
+    }
+
+    // params: period (week|semester|all), course, limit. Sent with the token when logged in,
+    // so the response includes the user's own place.
+    async getLeaderboard(params = {}) {
+        const url = `${this.baseUrl}/leaderboard?${new URLSearchParams(params)}`;
+        const res = this.token ? await this._authFetch(url) : await fetch(url);
+        return await this._handleResponse(res);
+    }
+
+    async getPublicProfile(userId) {
+        const res = await fetch(`${this.baseUrl}/users/${userId}/public`);
+        return await this._handleResponse(res);
+    }
+
+    // Course catalog autocomplete
+    async searchCourses(prefix) {
+        const res = await fetch(`${this.baseUrl}/courses?${new URLSearchParams({ prefix })}`);
         return await this._handleResponse(res);
     }
 
     async uploadProfilePic(formData) {
-        const res = await fetch(`${this.baseUrl}/auth/upload-pic`, {
+        const res = await this._authFetch(`${this.baseUrl}/auth/upload-pic`, {
             method: 'POST',
-            headers: { 'x-auth-token': this.token },
             body: formData
         });
         return await this._handleResponse(res);
@@ -124,18 +249,199 @@ class API {
         return await this._handleResponse(res);
     }
 
-    async verifyOTP(email, otp, newPassword) {
+    // Returns { resetToken } for resetPassword
+    async verifyOTP(email, otp) {
         const res = await fetch(`${this.baseUrl}/auth/verify-otp`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ email, otp, newPassword })
+            body: JSON.stringify({ email, otp })
+        });
+        return await this._handleResponse(res);
+    }
+
+    async resetPassword(resetToken, newPassword) {
+        const res = await fetch(`${this.baseUrl}/auth/reset-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ resetToken, newPassword })
         });
         return await this._handleResponse(res);
     }
     async registerDownload(paperId) {
-        const res = await fetch(`${this.baseUrl}/papers/${paperId}/download`, {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}/download`, {
+            method: 'POST'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async reportPaper(paperId, reason, note) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}/reports`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason, note })
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getMyDownloads() {
+        const res = await this._authFetch(`${this.baseUrl}/me/downloads`);
+        return await this._handleResponse(res);
+    }
+
+    async getMyPapers() {
+        const res = await this._authFetch(`${this.baseUrl}/me/papers`);
+        return await this._handleResponse(res);
+    }
+
+    async getRewardEligibility() {
+        const res = await this._authFetch(`${this.baseUrl}/rewards/eligibility`);
+        return await this._handleResponse(res);
+    }
+
+    async getRewardRequests() {
+        const res = await this._authFetch(`${this.baseUrl}/rewards/requests`);
+        return await this._handleResponse(res);
+    }
+
+    // details: { payoutMethod: 'upi', upiId } or { payoutMethod: 'bank', accountName, accountNumber, ifsc }
+    async requestReward(details) {
+        const res = await this._authFetch(`${this.baseUrl}/rewards/requests`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(details)
+        });
+        return await this._handleResponse(res);
+    }
+
+    // fields: any of { subject, courseCode, courseId, examYear, semesterTerm, category, slot }
+    async updatePaper(paperId, fields) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+        return await this._handleResponse(res);
+    }
+
+    async deletePaper(paperId) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}`, {
+            method: 'DELETE'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getModerationQueue(status = 'pending') {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers?status=${status}`);
+        return await this._handleResponse(res);
+    }
+
+    async approvePaper(paperId) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers/${paperId}/approve`, {
+            method: 'POST'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async rejectPaper(paperId, reason) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers/${paperId}/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getCourses() {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/courses`);
+        return await this._handleResponse(res);
+    }
+
+    // fields: any of { code, name, school, credits }
+    async updateCourse(courseId, fields) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/courses/${courseId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+        return await this._handleResponse(res);
+    }
+
+    async mergeCourse(courseId, intoId) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/courses/${courseId}/merge`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ intoId })
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getReports() {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/reports`);
+        return await this._handleResponse(res);
+    }
+
+    // action: 'reports/resolve', 'reports/dismiss', 'hide' or 'unhide'
+    async moderateReportedPaper(paperId, action) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers/${paperId}/${action}`, {
+            method: 'POST'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async restorePaperVersion(paperId, version) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers/${paperId}/versions/${version}/restore`, {
+            method: 'POST'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async removePaper(paperId) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/papers/${paperId}`, {
+            method: 'DELETE'
+        });
+        return await this._handleResponse(res);
+    }
+
+    // Admins only
+    async getRewardReviewList(status = 'pending') {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/rewards?status=${status}`);
+        return await this._handleResponse(res);
+    }
+
+    // action: 'approve', 'paid' or 'reject' (which needs a reason)
+    async reviewReward(requestId, action, reason) {
+        const res = await this._authFetch(`${this.baseUrl}/moderation/rewards/${requestId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        return await this._handleResponse(res);
+    }
+
+    async likePaper(paperId) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}/like`, {
+            method: 'POST'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async unlikePaper(paperId) {
+        const res = await this._authFetch(`${this.baseUrl}/papers/${paperId}/like`, {
+            method: 'DELETE'
+        });
+        return await this._handleResponse(res);
+    }
+
+    async getMyLikes() {
+        const res = await this._authFetch(`${this.baseUrl}/me/likes`);
+        return await this._handleResponse(res);
+    }
+
+    async syncLikes(paperIds) {
+        const res = await this._authFetch(`${this.baseUrl}/me/likes`, {
             method: 'POST',
-            headers: { 'x-auth-token': this.token }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ paperIds })
         });
         return await this._handleResponse(res);
     }
@@ -147,11 +453,28 @@ let currentUser = null;
 let papers = [];
 let likedPapersSearchQuery = '';
 
+// Liked papers of the logged-in user (kept on the server, see loadLikes)
+let likedPapers = [];
+let likedPaperIds = new Set();
+let downloadHistory = [];
+
+// Level thresholds and points per upload from the server (GET /api/levels), see loadLevelRules
+let levelRules = { uploadPoints: 50, levels: [] };
+// Every badge there is (GET /api/badges), loaded with the profile
+let badgeCatalog = [];
+
 // Filter state
 let selectedYear = null;
 let selectedSemester = null;
-const years = ['2025', '2024', '2023', '2022'];
-const semesters = ['Fall', 'Winter'];
+const semesterLabels = { Fall: '🍂 Fall Semester', Winter: '❄️ Winter Semester', Summer: '☀️ Summer Semester' };
+
+// Search results are paged by the server: `papers` holds the pages loaded so far
+const PAPERS_PAGE_SIZE = 12;
+let papersPage = 1;
+let papersTotal = 0;
+let searchFacets = { year: [], semester: [] };
+let searchSuggestions = [];
+let papersRequestId = 0;
 
 // Sounds
 const sounds = {
@@ -172,11 +495,21 @@ const authSection = document.getElementById('authSection');
 const homeSection = document.getElementById('homeSection');
 const uploadSection = document.getElementById('uploadSection');
 const profileSection = document.getElementById('profileSection');
+const moderationSection = document.getElementById('moderationSection');
+const leaderboardSection = document.getElementById('leaderboardSection');
+const userProfileSection = document.getElementById('userProfileSection');
 const papersGrid = document.getElementById('papersGrid');
 
 // Custom Alert Logic
-function showCustomAlert(message) {
+// `link` ({ href, text }) adds a link under the message
+function showCustomAlert(message, link) {
     document.getElementById('customAlertMessage').innerText = message;
+    const linkEl = document.getElementById('customAlertLink');
+    linkEl.classList.toggle('hidden', !link);
+    if (link) {
+        linkEl.href = link.href;
+        linkEl.innerText = link.text;
+    }
     document.getElementById('customAlert').classList.remove('hidden');
     document.querySelector('main').classList.add('blur-content');
     document.querySelector('.navbar').classList.add('blur-content');
@@ -217,6 +550,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                     currentUser = fresh;
                     localStorage.setItem('currentUser', JSON.stringify(currentUser));
                     updateNav();
+                    await loadLikes();
+                    if (papers.length > 0) renderPapers(papers);
                     // If profile is currently visible, update UI
                     if (!profileSection.classList.contains('hidden')) updateProfileUI();
                 }
@@ -231,6 +566,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         })();
     }
 
+    await loadLevelRules();
     await loadPapers();
     updateNav();
     showPage('home');
@@ -246,10 +582,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 async function loadPapers() {
     try {
-        papers = await api.getAllPapers();
-        initializeFilters();
+        await fetchPapers();
         updateUserAndPaperCounts();
-        renderPapers(papers);
     } catch (e) {
         console.error("Failed to load papers:", e);
         papersGrid.innerHTML = `
@@ -268,9 +602,68 @@ async function loadPapers() {
     }
 }
 
+// Fetch the user's likes from the server. Likes used to live only in
+// localStorage.likedPapers; those are pushed up to the account once and then dropped.
+async function loadLikes() {
+    if (!currentUser || !api.token) {
+        likedPapers = [];
+        likedPaperIds = new Set();
+        return;
+    }
+
+    // A failed sync leaves the browser's likes for the next visit, it shouldn't hide the account's likes
+    try {
+        const legacyLikes = JSON.parse(localStorage.getItem('likedPapers') || '[]');
+        if (legacyLikes.length > 0) {
+            await api.syncLikes(legacyLikes);
+            localStorage.removeItem('likedPapers');
+        }
+    } catch (e) {
+        console.error('Failed to move saved likes to the account:', e);
+    }
+
+    try {
+        likedPapers = await api.getMyLikes();
+        likedPaperIds = new Set(likedPapers.map(p => p._id));
+    } catch (e) {
+        console.error('Failed to load liked papers:', e);
+    }
+}
+
+// Fetch a page of papers for the current search text and filters. Page 1 replaces the list,
+// later pages are appended to it. Responses to older requests (typing fast) are dropped.
+async function fetchPapers(page = 1) {
+    const requestId = ++papersRequestId;
+    const params = { page, limit: PAPERS_PAGE_SIZE };
+    const query = document.getElementById('searchInput') ? document.getElementById('searchInput').value.trim() : '';
+    if (query) params.query = query;
+    if (selectedYear) params.year = selectedYear;
+    if (selectedSemester) params.semester = selectedSemester;
+
+    const result = await api.searchPapers(params);
+    if (requestId !== papersRequestId) return;
+
+    papers = page === 1 ? result.papers : papers.concat(result.papers);
+    papersPage = page;
+    papersTotal = result.total;
+    searchFacets = result.facets;
+    searchSuggestions = result.didYouMean || [];
+    initializeFilters();
+    updateFilterButtons();
+    renderPapers(papers);
+}
+
+async function loadMorePapers() {
+    try {
+        await fetchPapers(papersPage + 1);
+    } catch (e) {
+        console.error('Failed to load more papers:', e);
+    }
+}
+
 function updateUserAndPaperCounts() {
     // Update paper count
-    const paperCount = papers.length;
+    const paperCount = papersTotal;
     const paperCountDisplay = document.getElementById('paperCountDisplay');
     if (paperCountDisplay) {
         paperCountDisplay.innerText = paperCount + '+';
@@ -292,14 +685,21 @@ function initializeFilters() {
 
     if (!yearButtonsContainer || !semesterButtonsContainer) return;
 
+    // Buttons for the years and semesters that have papers, with how many (counts come from the server)
+    const years = searchFacets.year.map(f => f.value);
+    if (selectedYear && !years.includes(selectedYear)) years.unshift(selectedYear);
+    const semesters = searchFacets.semester.map(f => f.value);
+    if (selectedSemester && !semesters.includes(selectedSemester)) semesters.push(selectedSemester);
+    const countFor = (facet, value) => (searchFacets[facet].find(f => f.value === value) || { count: 0 }).count;
+
     // Create year buttons
     yearButtonsContainer.innerHTML = `
         <div style="display: flex; flex-direction: column; gap: 0.5rem;">
             <span style="font-size: 0.85rem; color: var(--text-muted); font-weight: 600;">Years:</span>
             <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                 ${years.map(year => `
-                    <button class="filter-btn" data-year="${year}" onclick="filterByYear('${year}')" style="padding: 0.5rem 1rem; background: #334155; border: 1px solid #475569; border-radius: 0.5rem; color: var(--text); cursor: pointer; transition: all 0.3s;">
-                        ${year}
+                    <button class="filter-btn" data-year="${year}" data-label="${year} (${countFor('year', year)})" onclick="filterByYear('${year}')" style="padding: 0.5rem 1rem; background: #334155; border: 1px solid #475569; border-radius: 0.5rem; color: var(--text); cursor: pointer; transition: all 0.3s;">
+                        ${year} (${countFor('year', year)})
                     </button>
                 `).join('')}
             </div>
@@ -312,8 +712,8 @@ function initializeFilters() {
             <span style="font-size: 0.85rem; color: var(--text-muted); font-weight: 600;">Semesters:</span>
             <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
                 ${semesters.map(semester => `
-                    <button class="filter-btn" data-semester="${semester}" onclick="filterBySemester('${semester}')" style="padding: 0.5rem 1rem; background: #334155; border: 1px solid #475569; border-radius: 0.5rem; color: var(--text); cursor: pointer; transition: all 0.3s;">
-                        ${semester === 'Fall' ? '🍂 Fall Semester' : '❄️ Winter Semester'}
+                    <button class="filter-btn" data-semester="${semester}" data-label="${semesterLabels[semester]} (${countFor('semester', semester)})" onclick="filterBySemester('${semester}')" style="padding: 0.5rem 1rem; background: #334155; border: 1px solid #475569; border-radius: 0.5rem; color: var(--text); cursor: pointer; transition: all 0.3s;">
+                        ${semesterLabels[semester]} (${countFor('semester', semester)})
                     </button>
                 `).join('')}
             </div>
@@ -323,14 +723,12 @@ function initializeFilters() {
 
 function filterByYear(year) {
     selectedYear = selectedYear === year ? null : year;
-    console.log('Filter by Year:', selectedYear, 'Total papers:', papers.length);
     updateFilterButtons();
     applyFilters();
 }
 
 function filterBySemester(semester) {
     selectedSemester = selectedSemester === semester ? null : semester;
-    console.log('Filter by Semester:', selectedSemester, 'Total papers:', papers.length);
     updateFilterButtons();
     applyFilters();
 }
@@ -339,7 +737,7 @@ function clearFilters() {
     selectedYear = null;
     selectedSemester = null;
     updateFilterButtons();
-    renderPapers(papers);
+    applyFilters();
 }
 
 function updateFilterButtons() {
@@ -351,13 +749,13 @@ function updateFilterButtons() {
             btn.style.borderColor = 'var(--primary)';
             btn.style.color = '#fff';
             btn.style.fontWeight = 'bold';
-            btn.innerHTML = `✓ ${btn.dataset.year}`;
+            btn.innerHTML = `✓ ${btn.dataset.label}`;
         } else {
             btn.style.background = '#334155';
             btn.style.borderColor = '#475569';
             btn.style.color = 'var(--text)';
             btn.style.fontWeight = 'normal';
-            btn.innerHTML = btn.dataset.year;
+            btn.innerHTML = btn.dataset.label;
         }
     });
 
@@ -369,48 +767,24 @@ function updateFilterButtons() {
             btn.style.borderColor = 'var(--primary)';
             btn.style.color = '#fff';
             btn.style.fontWeight = 'bold';
-            btn.innerHTML = `✓ ${btn.dataset.semester === 'Fall' ? '🍂 Fall Semester' : '❄️ Winter Semester'}`;
+            btn.innerHTML = `✓ ${btn.dataset.label}`;
         } else {
             btn.style.background = '#334155';
             btn.style.borderColor = '#475569';
             btn.style.color = 'var(--text)';
             btn.style.fontWeight = 'normal';
-            btn.innerHTML = btn.dataset.semester === 'Fall' ? '🍂 Fall Semester' : '❄️ Winter Semester';
+            btn.innerHTML = btn.dataset.label;
         }
     });
 }
 
-function applyFilters() {
-    if (!selectedYear && !selectedSemester) {
-        renderPapers(papers);
-        return;
-    }
-
-    let filtered = papers;
-    console.log('Applying filters - Year:', selectedYear, 'Semester:', selectedSemester, 'Total papers:', papers.length);
-
-    if (selectedYear) {
-        filtered = filtered.filter(paper => {
-            const paperYear = String(paper.examYear || '');
-            const matches = paperYear === selectedYear;
-            console.log('Paper:', paper.subject, 'Year:', paperYear, 'Match:', matches);
-            return matches;
-        });
-        console.log('After year filter:', filtered.length, 'papers');
-    }
-
-    if (selectedSemester) {
-        filtered = filtered.filter(paper => {
-            const examName = paper.examName || '';
-            const matches = examName.toLowerCase().includes(selectedSemester.toLowerCase());
-            console.log('Paper:', paper.subject, 'ExamName:', examName, 'Match:', matches);
-            return matches;
-        });
-        console.log('After semester filter:', filtered.length, 'papers');
+// Filtering happens on the server, so changing a filter reloads the first page
+async function applyFilters() {
+    try {
+        await fetchPapers();
+    } catch (e) {
+        console.error('Filtering failed', e);
     }
-
-    console.log('Final filtered papers:', filtered.length);
-    renderPapers(filtered);
 }
 
 // Navigation Logic
@@ -429,14 +803,18 @@ function updateNav() {
     const navList = `
         <div class="nav-list">
             <a class="nav-link" onclick="showPage('home'); closeMobileMenu()">Home</a>
+            <a class="nav-link" onclick="showPage('leaderboard'); closeMobileMenu()">Leaderboard</a>
             ${currentUser ? `<a class="nav-link" onclick="showPage('profile'); closeMobileMenu()">Profile</a>` : ''}
+            ${isModerator() ? `<a class="nav-link" onclick="showPage('moderation'); closeMobileMenu()">Moderation</a>` : ''}
         </div>
     `;
 
     const desktopNav = `
         <div class="nav-desktop">
             <button class="nav-desktop-btn" onclick="showPage('home')">Home</button>
+            <button class="nav-desktop-btn" onclick="showPage('leaderboard')">Leaderboard</button>
             ${currentUser ? `<button class="nav-desktop-btn" onclick="showPage('profile')">Profile</button>` : ''}
+            ${isModerator() ? `<button class="nav-desktop-btn" onclick="showPage('moderation')">Moderation</button>` : ''}
         </div>
     `;
 
@@ -456,6 +834,10 @@ function updateNav() {
     setTimeout(() => reflectThemeIcon(), 0);
 }
 
+function isModerator() {
+    return Boolean(currentUser && (currentUser.role === 'moderator' || currentUser.role === 'admin'));
+}
+
 function toggleTheme() {
     const cur = localStorage.getItem('siteTheme') || 'system';
     const next = cur === 'dark' ? 'light' : 'dark';
@@ -492,7 +874,7 @@ function closeMobileMenu() {
 
 async function showPage(pageId) {
 
-    [authSection, homeSection, uploadSection, profileSection].forEach(el => el.classList.add('hidden'));
+    [authSection, homeSection, uploadSection, profileSection, moderationSection, leaderboardSection, userProfileSection].forEach(el => el.classList.add('hidden'));
 
     if (pageId === 'auth') authSection.classList.remove('hidden');
     else if (pageId === 'home') homeSection.classList.remove('hidden');
@@ -520,6 +902,28 @@ async function showPage(pageId) {
         if (!currentUser) return showPage('auth');
         updateProfileUI();
         profileSection.classList.remove('hidden');
+        loadMyUploads();
+        loadRewards();
+        loadDownloadHistory();
+        loadSessions();
+    }
+    else if (pageId === 'leaderboard') {
+        leaderboardSection.classList.remove('hidden');
+        loadLeaderboard();
+    }
+    else if (pageId === 'userProfile') {
+        userProfileSection.classList.remove('hidden');
+        loadUserProfile();
+    }
+    else if (pageId === 'moderation') {
+        if (!isModerator()) return showPage('home');
+        moderationSection.classList.remove('hidden');
+        loadModerationQueue();
+        loadReports();
+        loadCourses();
+        const isAdmin = currentUser.role === 'admin';
+        document.getElementById('rewardsAdmin').classList.toggle('hidden', !isAdmin);
+        if (isAdmin) loadRewardReviewList();
     }
 }
 
@@ -545,10 +949,12 @@ function toggleAuthMode() {
 }
 
 function continueAsGuest() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('currentUser');
+    api.logout();
     currentUser = null;
+    likedPapers = [];
+    likedPaperIds = new Set();
     updateNav();
+    renderPapers(papers);
     showPage('home');
     playSound('pop');
 }
@@ -596,6 +1002,7 @@ document.getElementById('authForm').addEventListener('submit', async (e) => {
 
         localStorage.setItem('currentUser', JSON.stringify(currentUser));
         updateNav();
+        await loadLikes();
         // Re-render papers so heart colors update based on logged-in state
         renderPapers(papers);
         showPage('home');
@@ -612,39 +1019,54 @@ function logout() {
     playSound('pop');
     api.logout();
     currentUser = null;
+    likedPapers = [];
+    likedPaperIds = new Set();
+    downloadHistory = [];
     updateNav();
+    renderPapers(papers);
     showPage('auth');
 }
 
 
 
-// Profile name edit functions
+// Profile edit functions (name, phone and bio)
 function enableNameEdit() {
+    // Start from the current values
+    document.getElementById('editFirstName').value = currentUser.firstName || '';
+    document.getElementById('editLastName').value = currentUser.lastName || '';
+    document.getElementById('editPhone').value = currentUser.phone || '';
+    document.getElementById('editBio').value = currentUser.bio || '';
+
     document.getElementById('nameEditForm').classList.remove('hidden');
     document.getElementById('profileName').classList.add('hidden');
 }
 
-function saveNameEdit() {
+async function saveNameEdit() {
     const first = document.getElementById('editFirstName').value.trim();
     const last = document.getElementById('editLastName').value.trim();
+    const phone = document.getElementById('editPhone').value.trim();
+    const bio = document.getElementById('editBio').value.trim();
     if (!first && !last) {
         showCustomAlert('Please provide a name to update.');
         return;
     }
-    // Optimistically update UI
-    if (first) currentUser.firstName = first;
-    if (last) currentUser.lastName = last;
-    localStorage.setItem('currentUser', JSON.stringify(currentUser));
-    updateProfileUI();
-    // Send update to backend if token present
-    if (api.token) {
-        api.updateProfile({ firstName: first, lastName: last }).catch(err => {
-            console.error('Profile update failed', err);
-            showCustomAlert('Failed to save changes to server.');
-        });
+
+    const updates = { bio };
+    if (first) updates.firstName = first;
+    if (last) updates.lastName = last;
+    if (phone) updates.phone = phone;
+
+    try {
+        // Server validates and returns the saved profile
+        const updated = await api.updateProfile(updates);
+        currentUser = { ...currentUser, ...updated };
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+        updateProfileUI();
+        cancelNameEdit();
+    } catch (err) {
+        console.error('Profile update failed', err);
+        showCustomAlert('Failed to save changes: ' + err.message);
     }
-    // Hide edit form
-    cancelNameEdit();
 }
 
 function cancelNameEdit() {
@@ -653,16 +1075,15 @@ function cancelNameEdit() {
     // Reset fields
     document.getElementById('editFirstName').value = '';
     document.getElementById('editLastName').value = '';
+    document.getElementById('editPhone').value = '';
+    document.getElementById('editBio').value = '';
 }
 
 // Extend API with profile update
 API.prototype.updateProfile = async function (data) {
-    const res = await fetch(`${this.baseUrl}/auth/profile`, {
+    const res = await this._authFetch(`${this.baseUrl}/auth/profile`, {
         method: 'PUT',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-auth-token': this.token
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data)
     });
     return await this._handleResponse(res);
@@ -732,11 +1153,10 @@ async function sendForgotPasswordOTP() {
 
     try {
         showForgotStatusMessage('Sending OTP...', 'loading');
-        const response = await api.forgotPassword(email);
-        console.log('Forgot Password Response:', response); // Debug: Check console for OTP if email not configured
+        await api.forgotPassword(email);
 
-        // Display user-friendly success message without showing OTP code
-        showForgotStatusMessage('✅ OTP sent to your registered email', 'success');
+        // Server gives the same answer for unknown emails, so don't claim more than that
+        showForgotStatusMessage('✅ If this email is registered, an OTP has been sent to it', 'success');
 
         // Show step 2 after 2 seconds
         setTimeout(() => {
@@ -777,8 +1197,11 @@ async function verifyOTPAndResetPassword() {
     }
 
     try {
+        showForgotStatusMessage('Verifying OTP...', 'loading');
+        const { resetToken } = await api.verifyOTP(email, otp);
+
         showForgotStatusMessage('Resetting password...', 'loading');
-        await api.verifyOTP(email, otp, newPassword);
+        await api.resetPassword(resetToken, newPassword);
         showForgotStatusMessage('Password reset successfully! Redirecting to login...', 'success');
 
         setTimeout(() => {
@@ -793,103 +1216,160 @@ async function verifyOTPAndResetPassword() {
 }
 
 // Papers Logic
-function renderPapers(papersToRender, containerId = 'papersGrid') {
-    const container = document.getElementById(containerId);
 
-    // Responsive Limits: Show limited papers on home page if not searching
-    const searchQuery = document.getElementById('searchInput') ? document.getElementById('searchInput').value.trim() : '';
-    let isTruncated = false;
-    let limit = papersToRender.length;
-
-    if (!searchQuery) {
-        const width = window.innerWidth;
-        if (width <= 768) {
-            limit = 7; // Mobile
-        } else if (width <= 1024) {
-            limit = 10; // Tablet
-        } else {
-            limit = 12; // Desktop
-        }
+// The uploader's avatar and name; a link to their public profile when the paper says who they are
+function uploaderChip(uploader, content) {
+    if (!uploader || !uploader.id) return `<div class="uploader-chip">${content}</div>`;
+    return `<button type="button" class="uploader-chip" onclick="openUserProfile('${uploader.id}', event)" title="See what ${escapeHtml(uploader.firstName)} shared">${content}</button>`;
+}
 
-        if (papersToRender.length > limit) {
-            papersToRender = papersToRender.slice(0, limit);
-            isTruncated = true;
-        }
-    }
+// One paper card, for the search results and public profiles
+function paperCardHtml(paper) {
+    const fileUrl = paper.filePath;
+    const uploaderName = paper.uploader ? `${paper.uploader.firstName} ${paper.uploader.lastName}` : 'Unknown';
+    const uploaderPic = paper.uploader && paper.uploader.profilePic ? paper.uploader.profilePic : null;
+    const uploaderLevel = paper.uploader && paper.uploader.level ? paper.uploader.level : 'Silver';
+
+    const semesterDisplay = paper.semesterTerm
+        ? `${semesterLabels[paper.semesterTerm]}${paper.academicYear ? ` ${paper.academicYear}` : ''}`
+        : '';
+
+    const likeDisabled = !currentUser;
+    // Only show liked state if user is logged in
+    const isLiked = !likeDisabled && likedPaperIds.has(paper._id);
+
+    return `
+    <div class="card paper-card">
+        <button class="like-btn ${isLiked ? 'liked' : ''} ${likeDisabled ? 'disabled' : ''}" data-like-paper="${paper._id}" ${likeDisabled ? 'title="Login to like"' : `onclick="toggleLike('${paper._id}', event)"`}>
+            <span class="like-icon">${isLiked ? '❤️' : '🤍'}</span>
+            <span class="like-count">${paper.likeCount || 0}</span>
+        </button>
+        ${paper.thumbnailUrl ? `<img class="paper-thumb" src="${paper.thumbnailUrl}" alt="Preview of ${paper.subject}" loading="lazy" onclick="viewPaper('${fileUrl}', '${paper.subject}', '${paper._id}')">` : ''}
+        <div style="display:flex; justify-content:space-between; align-items:flex-start; margin-bottom:1rem; margin-top:${paper.thumbnailUrl ? '0' : '2.5rem'}; gap:0.5rem;">
+            <span class="badge">${paper.category}</span>
+            <div style="text-align:right;">
+                <div style="font-size:0.85rem; color:var(--primary); font-weight:600;">${paper.examYear || 'N/A'}</div>
+                ${semesterDisplay ? `<div style="font-size:0.8rem; color:#10b981; font-weight:600; margin-top:0.3rem;">${semesterDisplay}</div>` : ''}
+            </div>
+        </div>
+        <h3 style="margin-bottom:0.5rem; line-height:1.4;">${paper.subject}</h3>
+        <p class="text-muted" style="margin-bottom:1rem; font-size:0.9rem;">${paper.courseCode} • Slot: ${paper.slot || 'N/A'}</p>
+        ${paper.snippet ? `<p class="search-snippet">…${paper.snippet}…</p>` : ''}
+        <div style="margin-top:1rem; display:flex; align-items:center; gap:0.5rem;">
+            ${uploaderChip(paper.uploader, `
+                <div style="width:28px; height:28px; background:#334155; border-radius:50%; display:flex; align-items:center; justify-content:center; font-size:12px; overflow:hidden; flex-shrink:0;">
+                    ${uploaderPic ? `<img src="${uploaderPic}" style="width:100%;height:100%;object-fit:cover;">` : uploaderName[0]}
+                </div>
+                <div style="flex:1; display:flex; flex-direction:column; gap:0.25rem;">
+                    <span class="text-muted uploader-name" style="font-size:0.9rem;">${uploaderName} ${badgeIcons(paper.uploader ? paper.uploader.badges : [])}</span>
+                    <span style="font-size:0.75rem; color:var(--primary);">${levelIcon(uploaderLevel)} ${uploaderLevel}</span>
+                </div>
+            `)}
+            <span class="text-muted" style="font-size:0.8rem;" title="Downloads">⬇️ ${paper.downloadCount || 0}</span>
+        </div>
+        <div style="display:flex; gap:0.5rem; margin-top:1.5rem;">
+            <button class="btn btn-outline" style="flex:1; padding:0.6rem 1rem;" onclick="viewPaper('${fileUrl}', '${paper.subject}', '${paper._id}')">View Paper</button>
+            <button class="btn btn-primary" style="flex:1; padding:0.6rem 1rem;" onclick="downloadPaper('${fileUrl}', '${paper.subject}', '${paper._id}')">Download</button>
+        </div>
+        <div style="text-align:right; margin-top:0.75rem;">
+            <button class="report-link" onclick="openVersionsDialog('${paper._id}', '${paper.uploader ? paper.uploader.id : ''}')" title="Earlier files of this paper">🕘 Versions${paper.version > 1 ? ` (v${paper.version})` : ''}</button>
+            <button class="report-link" onclick="openReportDialog('${paper._id}')" title="Report a problem with this paper">🚩 Report</button>
+        </div>
+    </div>
+    `;
+}
+
+function renderPapers(papersToRender, containerId = 'papersGrid') {
+    const container = document.getElementById(containerId);
 
     if (!papersToRender || papersToRender.length === 0) {
         let message = 'No papers found.';
         if (selectedYear || selectedSemester) {
             message = `No papers found for ${selectedYear || ''} ${selectedSemester || ''}. Try clearing filters.`;
         }
+        if (searchSuggestions.length > 0) {
+            const links = searchSuggestions.map(s => `<button class="suggestion-link" data-suggestion="${escapeHtml(s)}" onclick="searchFor(this.dataset.suggestion)">${escapeHtml(s)}</button>`);
+            message += `<br>Did you mean ${links.join(', ')}?`;
+        }
         container.innerHTML = `<p class="text-muted" style="grid-column: 1/-1; text-align: center;">${message}</p>`;
         return;
     }
 
-    let html = papersToRender.map(paper => {
-        const fileUrl = paper.filePath;
-        const uploaderName = paper.uploader ? `${paper.uploader.firstName} ${paper.uploader.lastName}` : 'Unknown';
-        const uploaderPic = paper.uploader && paper.uploader.profilePic ? paper.uploader.profilePic : null;
-        const uploaderLevel = paper.uploader && paper.uploader.level ? paper.uploader.level : 'Silver';
-        const levelIcons = { 'Silver': '🥈', 'Gold': '🥇', 'Diamond': '💎', 'Legendary': '🦅' };
+    let html = papersToRender.map(paperCardHtml).join('');
 
-        // Extract semester from examName (e.g., "Fall 2024" or "Winter 2025")
-        const examName = paper.examName || '';
-        const semesterDisplay = examName.includes('Fall') || examName.includes('fall') ? '🍂 Fall Semester' :
-            examName.includes('Winter') || examName.includes('winter') ? '❄️ Winter Semester' : '';
+    // The server sends one page at a time
+    if (papersToRender.length < papersTotal) {
+        html += `
+            <div style="grid-column: 1/-1; text-align: center; margin-top: 2rem; padding: 1rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+                <p style="margin: 0 0 0.75rem 0; color: #94a3b8;">Showing ${papersToRender.length} of ${papersTotal} papers</p>
+                <button class="btn btn-outline" onclick="loadMorePapers()">Load more</button>
+            </div>
+        `;
+    }
 
-        // Check if liked (Local storage simulation for now)
-        const likedPapers = JSON.parse(localStorage.getItem('likedPapers') || '[]');
-        const likeDisabled = !currentUser;
-        // Only show liked state if user is logged in
-        const isLiked = !likeDisabled && likedPapers.includes(paper._id);
+    container.innerHTML = html;
+}
 
-        return `
-        <div class="card paper-card">
-            <button class="like-btn ${isLiked ? 'liked' : ''} ${likeDisabled ? 'disabled' : ''}" ${likeDisabled ? 'title="Login to like"' : `onclick="toggleLike('${paper._id}', event)"`}>
-                ${isLiked ? '❤️' : '🤍'}
-            </button>
-            <div style="display:flex; justify-content:space-between; align-items:flex-start; margin-bottom:1rem; margin-top:2.5rem; gap:0.5rem;">
-                <span class="badge">${paper.category}</span>
-                <div style="text-align:right;">
-                    <div style="font-size:0.85rem; color:var(--primary); font-weight:600;">${paper.examYear || 'N/A'}</div>
-                    ${semesterDisplay ? `<div style="font-size:0.8rem; color:#10b981; font-weight:600; margin-top:0.3rem;">${semesterDisplay}</div>` : ''}
-                </div>
-            </div>
-            <h3 style="margin-bottom:0.5rem; line-height:1.4;">${paper.subject}</h3>
-            <p class="text-muted" style="margin-bottom:1rem; font-size:0.9rem;">${paper.courseCode} • Slot: ${paper.slot || 'N/A'}</p>
-            <div style="margin-top:1rem; display:flex; align-items:center; gap:0.5rem;">
-                <div style="width:28px; height:28px; background:#334155; border-radius:50%; display:flex; align-items:center; justify-content:center; font-size:12px; overflow:hidden; flex-shrink:0;">
-                    ${uploaderPic ? `<img src="${uploaderPic}" style="width:100%;height:100%;object-fit:cover;">` : uploaderName[0]}
-                </div>
-                <div style="flex:1; display:flex; flex-direction:column; gap:0.25rem;">
-                    <span class="text-muted" style="font-size:0.9rem;">${uploaderName}</span>
-                    <span style="font-size:0.75rem; color:var(--primary);">${levelIcons[uploaderLevel] || ''} ${uploaderLevel}</span>
-                </div>
-            </div>
-            <div style="display:flex; gap:0.5rem; margin-top:1.5rem;">
-                <button class="btn btn-outline" style="flex:1; padding:0.6rem 1rem;" onclick="viewPaper('${fileUrl}', '${paper.subject}')">View Paper</button>
-                <button class="btn btn-primary" style="flex:1; padding:0.6rem 1rem;" onclick="downloadPaper('${fileUrl}', '${paper.subject}', '${paper._id}')">Download</button>
-            </div>
-        </div>
-    `}).join('');
+// Suggestions are paper subjects typed by users, so they are escaped before going into the page
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
 
-    if (isTruncated) {
-        html += `
-            <div style="grid-column: 1/-1; text-align: center; margin-top: 2rem; padding: 1rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
-                <p style="margin: 0; color: #94a3b8;">Showing top ${limit} results. <br> <span style="color: #fff; font-weight: 600;">Use search to find more papers.</span></p>
-            </div>
-        `;
-    }
+// Run a "did you mean" suggestion as the search
+function searchFor(text) {
+    document.getElementById('searchInput').value = text;
+    handleSearch();
+}
 
-    container.innerHTML = html;
+// Course suggestions under `input` as the user types; `onPick(course)` runs when one is chosen.
+// The input's parent must be positioned (.search-container, .form-field).
+function attachCourseAutocomplete(input, onPick) {
+    const list = document.createElement('div');
+    list.className = 'course-suggestions hidden';
+    input.parentNode.appendChild(list);
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        const prefix = input.value.trim();
+        if (prefix.length < 2) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        timer = setTimeout(async () => {
+            let courses = [];
+            try {
+                courses = await api.searchCourses(prefix);
+            } catch (e) {
+                console.error('Course suggestions failed', e);
+            }
+            if (input.value.trim() !== prefix) return;
+
+            list.innerHTML = courses.map((course, i) => `
+                <button type="button" class="course-suggestion" data-index="${i}">
+                    <strong>${escapeHtml(course.code)}</strong> ${escapeHtml(course.name)}
+                </button>
+            `).join('');
+            list.classList.toggle('hidden', courses.length === 0);
+            list.querySelectorAll('.course-suggestion').forEach(btn => {
+                // mousedown fires before the input's blur hides the list
+                btn.addEventListener('mousedown', e => {
+                    e.preventDefault();
+                    list.classList.add('hidden');
+                    onPick(courses[btn.dataset.index]);
+                });
+            });
+        }, 200);
+    });
+    input.addEventListener('blur', () => list.classList.add('hidden'));
 }
 
+attachCourseAutocomplete(document.getElementById('searchInput'), course => searchFor(course.code));
+
 async function handleSearch() {
-    const query = document.getElementById('searchInput').value;
     try {
-        const filtered = await api.getAllPapers(query);
-        renderPapers(filtered);
+        await fetchPapers();
     } catch (e) {
         console.error("Search failed", e);
     }
@@ -906,23 +1386,25 @@ async function toggleLike(paperId, event) {
 
 
 
-    // Toggle like in local storage (simulating backend persistence)
-    let likedPapers = JSON.parse(localStorage.getItem('likedPapers') || '[]');
-    const index = likedPapers.indexOf(paperId);
+    const wasLiked = likedPaperIds.has(paperId);
+    const paper = papers.find(p => p._id === paperId);
+    const previousCount = paper ? paper.likeCount || 0 : 0;
 
-    if (index === -1) {
-        likedPapers.push(paperId);
-        // Visual update
-        event.currentTarget.innerHTML = '❤️';
-        event.currentTarget.classList.add('liked');
-    } else {
-        likedPapers.splice(index, 1);
-        // Visual update
-        event.currentTarget.innerHTML = '🤍';
-        event.currentTarget.classList.remove('liked');
-    }
+    // Optimistic visual update
+    updateLikeButtons(paperId, !wasLiked, previousCount + (wasLiked ? -1 : 1));
 
-    localStorage.setItem('likedPapers', JSON.stringify(likedPapers));
+    try {
+        const result = wasLiked ? await api.unlikePaper(paperId) : await api.likePaper(paperId);
+        updateLikeButtons(paperId, result.liked, result.likeCount);
+
+        likedPapers = await api.getMyLikes();
+        likedPaperIds = new Set(likedPapers.map(p => p._id));
+    } catch (err) {
+        console.error('Like failed:', err);
+        updateLikeButtons(paperId, wasLiked, previousCount);
+        showCustomAlert('Could not update like: ' + err.message);
+        return;
+    }
 
     // Refresh profile if open
     if (!profileSection.classList.contains('hidden')) {
@@ -930,10 +1412,201 @@ async function toggleLike(paperId, event) {
     }
 }
 
+// Reflect a paper's like state on every button showing it and in the cached paper list
+function updateLikeButtons(paperId, liked, likeCount) {
+    if (liked) likedPaperIds.add(paperId);
+    else likedPaperIds.delete(paperId);
+
+    const paper = papers.find(p => p._id === paperId);
+    if (paper) paper.likeCount = likeCount;
+
+    document.querySelectorAll(`[data-like-paper="${paperId}"]`).forEach(btn => {
+        btn.classList.toggle('liked', liked);
+        btn.querySelector('.like-icon').innerHTML = liked ? '❤️' : '🤍';
+        btn.querySelector('.like-count').innerText = likeCount;
+    });
+}
+
 // View & Download Logic
-function viewPaper(url, title) {
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp)$/i;
+let modalPaper = null;
+
+// Images open in the in-page viewer (with like, download and report); anything else in a new tab
+// Papers shown outside the search results (downloads, own uploads, moderation), by id. Their
+// buttons pass just the id, so titles never end up inside inline JS.
+const listedPapers = new Map();
+
+function rememberPapers(list) {
+    list.forEach(paper => listedPapers.set(paper._id, paper));
+}
+
+function viewListedPaper(paperId) {
+    const paper = listedPapers.get(paperId);
+    if (paper) viewPaper(paper.filePath, paper.subject);
+}
+
+function viewPaper(url, title, paperId) {
+    const paper = paperId ? papers.find(p => p._id === paperId) : null;
+    if (!paper || !IMAGE_EXTENSIONS.test(new URL(url, window.location.href).pathname)) {
+        window.open(url, '_blank');
+        return;
+    }
+
+    modalPaper = paper;
+    document.getElementById('modalImage').src = url;
+    document.getElementById('modalImage').alt = title || 'Full Paper';
+
+    // Let updateLikeButtons keep the modal's like button in sync with the cards
+    const likeBtn = document.getElementById('modalLikeBtn');
+    likeBtn.dataset.likePaper = paper._id;
+    likeBtn.querySelector('.like-icon').innerHTML = likedPaperIds.has(paper._id) ? '❤️' : '🤍';
+    likeBtn.querySelector('.like-count').innerText = paper.likeCount || 0;
+
+    document.getElementById('imageModal').classList.remove('hidden');
+}
+
+function closeModal(event) {
+    // Clicks inside the content bubble up here too; only the backdrop and the × close it
+    if (event && event.target !== event.currentTarget) return;
+    document.getElementById('imageModal').classList.add('hidden');
+    document.getElementById('modalImage').src = '';
+    delete document.getElementById('modalLikeBtn').dataset.likePaper;
+    modalPaper = null;
+}
+
+function toggleLikeFromModal() {
+    if (modalPaper) toggleLike(modalPaper._id);
+}
+
+function downloadFromModal() {
+    if (modalPaper) downloadPaper(modalPaper.filePath, modalPaper.subject, modalPaper._id);
+}
+
+function reportFromModal() {
+    if (modalPaper) openReportDialog(modalPaper._id);
+}
+
+// Reporting a paper
+let reportingPaperId = null;
+
+function openReportDialog(paperId) {
+    if (!currentUser) {
+        showCustomAlert('Please login to report papers!');
+        return;
+    }
+
+    reportingPaperId = paperId;
+    document.getElementById('reportForm').reset();
+    document.getElementById('reportError').innerText = '';
+    document.getElementById('reportDialog').classList.remove('hidden');
+}
+
+function closeReportDialog() {
+    document.getElementById('reportDialog').classList.add('hidden');
+    reportingPaperId = null;
+}
+
+async function submitReport(event) {
+    event.preventDefault();
+    if (!reportingPaperId) return;
+
+    const reason = document.getElementById('reportReason').value;
+    const note = document.getElementById('reportNote').value.trim();
+    const errorEl = document.getElementById('reportError');
+
+    try {
+        await api.reportPaper(reportingPaperId, reason, note);
+    } catch (err) {
+        errorEl.innerText = err.message;
+        playSound('error');
+        return;
+    }
+
+    closeReportDialog();
+    showCustomAlert('Thanks! A moderator will take a look at this paper.');
+}
+
+// Version history of a paper: anyone can look, the uploader and moderators can upload a clearer
+// scan and moderators can roll back to an earlier file
+let versionsPaperId = null;
+
+async function openVersionsDialog(paperId, uploaderId) {
+    versionsPaperId = paperId;
+    const canUpload = isModerator() || Boolean(currentUser && uploaderId && uploaderId === currentUser.id);
+    document.getElementById('versionForm').reset();
+    document.getElementById('versionError').innerText = '';
+    document.getElementById('versionForm').classList.toggle('hidden', !canUpload);
+    document.getElementById('versionsCloseOnly').classList.toggle('hidden', canUpload);
+    document.getElementById('versionsDialog').classList.remove('hidden');
+    await loadPaperVersions();
+}
 
-    window.open(url, '_blank');
+function closeVersionsDialog() {
+    document.getElementById('versionsDialog').classList.add('hidden');
+    versionsPaperId = null;
+}
+
+async function loadPaperVersions() {
+    const list = document.getElementById('versionsList');
+    list.innerHTML = '<p class="text-muted" style="font-size: 0.85rem;">Loading…</p>';
+
+    let history;
+    try {
+        history = await api.getPaperVersions(versionsPaperId);
+    } catch (e) {
+        list.innerHTML = `<p class="text-muted" style="font-size: 0.85rem;">Could not load versions: ${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    list.innerHTML = history.versions.map(v => `
+        <div class="version-row ${v.version === history.current ? 'is-current' : ''}">
+            <div style="flex: 1; min-width: 0;">
+                <strong>v${v.version}</strong>${v.version === history.current ? ' <span class="status-badge approved">current</span>' : ''}
+                <div class="text-muted" style="font-size: 0.8rem;">${v.uploadedBy ? escapeHtml(`${v.uploadedBy.firstName} ${v.uploadedBy.lastName}`) : 'Unknown'}, ${new Date(v.createdAt).toLocaleDateString()}</div>
+            </div>
+            <a class="btn btn-outline btn-sm" href="${v.filePath}" target="_blank" rel="noopener">View</a>
+            ${isModerator() && v.version !== history.current ? `<button class="btn btn-primary btn-sm" onclick="restorePaperVersion(${v.version})">Restore</button>` : ''}
+        </div>
+    `).join('');
+}
+
+async function submitPaperVersion(event) {
+    event.preventDefault();
+    const input = document.getElementById('versionFileInput');
+    const errorEl = document.getElementById('versionError');
+    if (!versionsPaperId || !input.files[0]) return;
+
+    const formData = new FormData();
+    formData.append('file', input.files[0]);
+
+    errorEl.innerText = '';
+    try {
+        await api.addPaperVersion(versionsPaperId, formData);
+    } catch (err) {
+        errorEl.innerText = err.message;
+        playSound('error');
+        return;
+    }
+
+    playSound('pop');
+    event.target.reset();
+    loadPaperVersions();
+    loadPapers();
+}
+
+async function restorePaperVersion(version) {
+    if (!confirm(`Make v${version} the current file of this paper?`)) return;
+
+    try {
+        await api.restorePaperVersion(versionsPaperId, version);
+    } catch (err) {
+        showCustomAlert(`Could not restore version: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadPaperVersions();
+    loadPapers();
 }
 
 function downloadPaper(url, title, paperId) {
@@ -946,16 +1619,17 @@ function downloadPaper(url, title, paperId) {
             updateProfileUI();
         }
 
-        // Sync with backend
-        api.registerDownload(paperId).then(async () => {
-            // Fetch authoritative data
-            const freshUser = await api.getUser();
-            if (freshUser) {
-                currentUser = freshUser;
-                localStorage.setItem('currentUser', JSON.stringify(currentUser));
-                if (!profileSection.classList.contains('hidden')) {
-                    updateProfileUI();
-                }
+        // Sync with backend (its counts are authoritative)
+        api.registerDownload(paperId).then(result => {
+            currentUser.downloadCount = result.userDownloadCount;
+            localStorage.setItem('currentUser', JSON.stringify(currentUser));
+
+            const paper = papers.find(p => p._id === paperId);
+            if (paper) paper.downloadCount = result.downloadCount;
+
+            if (!profileSection.classList.contains('hidden')) {
+                updateProfileUI();
+                loadDownloadHistory();
             }
         }).catch(err => console.error('Failed to register download', err));
     }
@@ -979,27 +1653,148 @@ function downloadPaper(url, title, paperId) {
 }
 
 // Upload Logic
+// Either one PDF (selectedFile) or photos of each page (selectedPages), which the server merges into a PDF
 let selectedFile = null;
+let selectedPages = []; // { file, url, rotation }
+let draggedPageIndex = null;
 
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        selectedFile = file;
-        if (file.type.startsWith('image/')) {
-            const reader = new FileReader();
-            reader.onload = function (e) {
-                document.getElementById('imagePreview').src = e.target.result;
-                document.getElementById('imagePreviewContainer').classList.remove('hidden');
-            };
-            reader.readAsDataURL(file);
-        } else {
-            document.getElementById('imagePreviewContainer').classList.add('hidden');
+    const files = Array.from(event.target.files);
+    // Clear the input so picking the same photo again still fires onchange
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    const pdfs = files.filter(f => f.type === 'application/pdf' || f.name.toLowerCase().endsWith('.pdf'));
+    if (pdfs.length > 0) {
+        if (files.length > 1) {
+            showCustomAlert('Choose one PDF, or photos of each page.');
+            return;
         }
+        clearSelectedUpload();
+        selectedFile = pdfs[0];
+    } else {
+        // More photos are added after the ones already picked
+        selectedFile = null;
+        selectedPages.push(...files.map(file => ({ file, url: URL.createObjectURL(file), rotation: 0 })));
+    }
+    renderUploadPreview();
+}
+
+function clearSelectedUpload() {
+    selectedPages.forEach(page => URL.revokeObjectURL(page.url));
+    selectedPages = [];
+    selectedFile = null;
+    renderUploadPreview();
+}
+
+function renderUploadPreview() {
+    const container = document.getElementById('uploadPreview');
+
+    if (selectedFile) {
+        container.innerHTML = `<p class="text-muted">📄 ${selectedFile.name}</p>`;
+        container.classList.remove('hidden');
+        return;
     }
+
+    if (selectedPages.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+
+    container.innerHTML = `
+        <p class="text-muted" style="margin-bottom: 0.5rem; font-size: 0.85rem;">${selectedPages.length} page${selectedPages.length === 1 ? '' : 's'} • drag to reorder, they will be combined into one PDF</p>
+        <div class="page-thumbs">
+            ${selectedPages.map((page, i) => `
+                <div class="page-thumb" draggable="true"
+                    ondragstart="draggedPageIndex = ${i}"
+                    ondragover="event.preventDefault()"
+                    ondrop="event.preventDefault(); movePage(draggedPageIndex, ${i})">
+                    <div class="page-thumb-image">
+                        <img src="${page.url}" alt="Page ${i + 1}" style="transform: rotate(${page.rotation}deg);">
+                    </div>
+                    <div class="page-thumb-actions">
+                        <button type="button" onclick="movePage(${i}, ${i - 1})" ${i === 0 ? 'disabled' : ''} title="Move left">◀</button>
+                        <span>${i + 1}</span>
+                        <button type="button" onclick="movePage(${i}, ${i + 1})" ${i === selectedPages.length - 1 ? 'disabled' : ''} title="Move right">▶</button>
+                        <button type="button" onclick="rotatePage(${i})" title="Rotate">↻</button>
+                        <button type="button" onclick="removePage(${i})" title="Remove">✕</button>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
+function movePage(from, to) {
+    if (from === null || from === to || to < 0 || to >= selectedPages.length) return;
+    const [page] = selectedPages.splice(from, 1);
+    selectedPages.splice(to, 0, page);
+    draggedPageIndex = null;
+    renderUploadPreview();
+}
+
+function rotatePage(index) {
+    selectedPages[index].rotation = (selectedPages[index].rotation + 90) % 360;
+    renderUploadPreview();
+}
+
+function removePage(index) {
+    URL.revokeObjectURL(selectedPages[index].url);
+    selectedPages.splice(index, 1);
+    renderUploadPreview();
 }
 
+// Upload form field -> element that gets the error outline
+const UPLOAD_FIELD_INPUTS = {
+    subject: 'upSubject',
+    courseCode: 'upCourse',
+    examYear: 'upYear',
+    semesterTerm: 'upTerm',
+    category: 'upCategory',
+    file: 'fileInput'
+};
+
+function clearUploadErrors() {
+    document.querySelectorAll('#uploadForm .field-error').forEach(el => {
+        el.innerText = '';
+        el.classList.add('hidden');
+    });
+    document.querySelectorAll('#uploadForm .input-error').forEach(el => el.classList.remove('input-error'));
+}
+
+// Show the server's { field, msg } errors under the matching inputs; false if none had a place on the form
+function showUploadErrors(errors) {
+    let shown = false;
+    errors.forEach(({ field, msg }) => {
+        const errorEl = document.querySelector(`#uploadForm [data-error-for="${field}"]`);
+        if (!errorEl) return;
+
+        errorEl.innerText = msg;
+        errorEl.classList.remove('hidden');
+        const input = document.getElementById(UPLOAD_FIELD_INPUTS[field]);
+        (field === 'file' ? input.closest('.file-drop-area') : input).classList.add('input-error');
+        shown = true;
+    });
+    return shown;
+}
+
+// Catalog course picked in the upload form; typing in the code or subject again unlinks it
+let selectedCourseId = null;
+['upCourse', 'upSubject'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('input', () => { selectedCourseId = null; });
+    attachCourseAutocomplete(input, course => {
+        document.getElementById('upCourse').value = course.code;
+        document.getElementById('upSubject').value = course.name;
+        selectedCourseId = course.id;
+    });
+});
+
 document.getElementById('uploadForm').addEventListener('submit', async (e) => {
     e.preventDefault();
+    clearUploadErrors();
 
     if (!currentUser) {
         showCustomAlert('You must be logged in to upload!');
@@ -1007,7 +1802,7 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
         return;
     }
 
-    if (!selectedFile) {
+    if (!selectedFile && selectedPages.length === 0) {
         showCustomAlert('Please select a file first!');
         return;
     }
@@ -1016,16 +1811,22 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
     // User requested sound "while paper is uploaded" - usually means on success
 
     const formData = new FormData();
-    formData.append('file', selectedFile);
+    if (selectedFile) {
+        formData.append('file', selectedFile);
+    } else {
+        selectedPages.forEach(page => formData.append('pages', page.file));
+        formData.append('rotations', JSON.stringify(selectedPages.map(page => page.rotation)));
+    }
     formData.append('subject', document.getElementById('upSubject').value);
     formData.append('courseCode', document.getElementById('upCourse').value);
     formData.append('examYear', document.getElementById('upYear').value);
     formData.append('slot', document.getElementById('upSlot').value);
     formData.append('category', document.getElementById('upCategory').value);
-    formData.append('examName', document.getElementById('upSemester').value);
+    formData.append('semesterTerm', document.getElementById('upTerm').value);
+    if (selectedCourseId) formData.append('courseId', selectedCourseId);
 
     try {
-        await api.addPaper(formData);
+        const newPaper = await api.addPaper(formData);
 
         // Refresh data immediately
         await loadPapers();
@@ -1034,11 +1835,13 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
         updateProfileUI();
 
         playSound('champion');
-        showCustomAlert('Paper Uploaded! You earned 50 points.');
+        showCustomAlert(newPaper.duplicateOf
+            ? 'Paper submitted for review! It looks a lot like a paper we already have, so a moderator will check it before you earn points.'
+            : `Paper submitted for review! You will earn ${levelRules.uploadPoints} points once a moderator approves it.`);
 
         document.getElementById('uploadForm').reset();
-        document.getElementById('imagePreviewContainer').classList.add('hidden');
-        selectedFile = null;
+        selectedCourseId = null;
+        clearSelectedUpload();
 
         // Stay on page or show home? User asked for popup immediately.
         // We will switch to home but the popup will be visible over it.
@@ -1046,7 +1849,15 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
 
     } catch (err) {
         console.error("Upload failed:", err);
-        showCustomAlert("Failed to upload paper: " + err.message);
+        const duplicateOf = err.data && err.data.duplicateOf;
+        if (duplicateOf) {
+            showCustomAlert(`${err.message}: ${duplicateOf.subject} (${duplicateOf.courseCode}).`, {
+                href: duplicateOf.filePath,
+                text: 'Open the existing paper'
+            });
+        } else if (!(err.data && err.data.errors && showUploadErrors(err.data.errors))) {
+            showCustomAlert("Failed to upload paper: " + err.message);
+        }
         playSound('error');
     }
 });
@@ -1078,6 +1889,61 @@ async function handleProfilePicUpdate(event) {
 // Profile Logic
 let expandedLikedPaperId = null;
 
+// The server owns the level rules; the FAQ and badges are drawn from them
+async function loadLevelRules() {
+    try {
+        levelRules = await api.getLevelRules();
+        renderLevelRules();
+    } catch (e) {
+        console.error('Failed to load level rules', e);
+    }
+}
+
+function renderLevelRules() {
+    document.getElementById('faqLevels').innerHTML = levelRules.levels.map(level =>
+        `${level.icon} ${level.name}: ${level.maxPoints === null ? `${level.minPoints}+` : `${level.minPoints}-${level.maxPoints}`} pts`
+    ).join('<br>');
+    document.querySelectorAll('.upload-points').forEach(el => { el.innerText = levelRules.uploadPoints; });
+
+    const rewardLevel = levelRules.levels.find(level => level.name === levelRules.rewardLevel);
+    if (rewardLevel) {
+        document.getElementById('faqPrize').innerText =
+            `Upload papers, earn points and reach ${rewardLevel.icon} ${rewardLevel.name} (${rewardLevel.minPoints} pts). Then request your prize money from your profile.`;
+    }
+}
+
+function levelIcon(levelName) {
+    const level = levelRules.levels.find(l => l.name === levelName);
+    return level ? level.icon : '';
+}
+
+// Badge icons with their names as tooltips, for next to a user's name
+function badgeIcons(badges) {
+    return (badges || []).map(badge =>
+        `<span class="badge-icon" title="${escapeHtml(`${badge.name}: ${badge.description}`)}">${badge.icon}</span>`
+    ).join('');
+}
+
+// Earned badges first, then the ones still to get (dimmed)
+async function renderProfileBadges() {
+    const container = document.getElementById('profileBadges');
+    if (badgeCatalog.length === 0) {
+        try {
+            badgeCatalog = await api.getBadges();
+        } catch (e) {
+            console.error('Failed to load badges', e);
+        }
+    }
+
+    const earned = currentUser.badges || [];
+    const earnedIds = new Set(earned.map(badge => badge.id));
+    const locked = badgeCatalog.filter(badge => !earnedIds.has(badge.id));
+    container.innerHTML = [
+        ...earned.map(badge => `<span class="profile-badge" title="${escapeHtml(badge.description)}">${badge.icon} ${escapeHtml(badge.name)}</span>`),
+        ...locked.map(badge => `<span class="profile-badge locked" title="${escapeHtml(`Not yet: ${badge.description}`)}">${badge.icon} ${escapeHtml(badge.name)}</span>`)
+    ].join('') || '<span class="text-muted">No badges yet</span>';
+}
+
 function updateProfileUI() {
     console.log('updateProfileUI called, currentUser:', currentUser);
 
@@ -1096,12 +1962,14 @@ function updateProfileUI() {
         bioEl.innerText = currentUser.bio || 'Contributing to VIT PYQ\'s community';
     }
 
-    const levelIcons = { 'Silver': '🥈', 'Gold': '🥇', 'Diamond': '💎', 'Legendary': '🦅' };
-    document.getElementById('profileLevel').innerHTML = `${levelIcons[currentUser.level] || ''} ${currentUser.level}`;
+    document.getElementById('profileLevel').innerHTML = `${levelIcon(currentUser.level)} ${currentUser.level}`;
+    document.getElementById('profileNextLevel').innerText = currentUser.nextLevel
+        ? `${currentUser.pointsToNextLevel} points to ${currentUser.nextLevel}`
+        : 'Top level reached';
 
-    // Calculate uploads from points (1 upload = 50 points)
-    const uploadsCount = Math.floor((currentUser.points || 0) / 50);
-    document.getElementById('profileUploads').innerText = uploadsCount;
+    // Approved uploads, counted by the server from the points ledger
+    document.getElementById('profileUploads').innerText = currentUser.uploads || 0;
+    renderProfileBadges();
 
     // Use backend provided download count
     document.getElementById('profileDownloads').innerText = currentUser.downloadCount || 0;
@@ -1120,8 +1988,7 @@ function updateProfileUI() {
 }
 
 function renderLikedPapersCollapsible() {
-    const likedPaperIds = JSON.parse(localStorage.getItem('likedPapers') || '[]');
-    let likedPapersList = papers.filter(p => likedPaperIds.includes(p._id));
+    let likedPapersList = likedPapers;
 
     // Apply search filter
     if (likedPapersSearchQuery.trim()) {
@@ -1154,7 +2021,6 @@ function renderLikedPapersCollapsible() {
         const uploaderName = paper.uploader ? `${paper.uploader.firstName} ${paper.uploader.lastName}` : 'Unknown';
         const uploaderPic = paper.uploader && paper.uploader.profilePic ? paper.uploader.profilePic : null;
         const uploaderLevel = paper.uploader && paper.uploader.level ? paper.uploader.level : 'Silver';
-        const levelIcons = { 'Silver': '🥈', 'Gold': '🥇', 'Diamond': '💎', 'Legendary': '🦅' };
         const fileUrl = paper.filePath;
 
         return `
@@ -1166,6 +2032,7 @@ function renderLikedPapersCollapsible() {
                     onmouseover="this.style.background='#334155'"
                     onmouseout="this.style.background='transparent'"
                 >
+                    ${paper.thumbnailUrl ? `<img src="${paper.thumbnailUrl}" alt="" loading="lazy" style="width: 48px; height: 62px; object-fit: cover; border-radius: 0.25rem; margin-right: 0.75rem; flex-shrink: 0;">` : ''}
                     <div style="flex: 1;">
                         <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
                             <span class="badge">${paper.category}</span>
@@ -1182,15 +2049,17 @@ function renderLikedPapersCollapsible() {
                 <div class="liked-paper-content" style="max-height: ${isExpanded ? '500px' : '0'}; overflow: hidden; transition: max-height 0.3s ease-in-out;">
                     <div style="padding: 1rem; border-top: 1px solid #334155;">
                         <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem;">
-                            <div style="width: 32px; height: 32px; background: #334155; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 14px; overflow: hidden;">
-                                ${uploaderPic ? `<img src="${uploaderPic}" style="width:100%;height:100%;object-fit:cover;">` : uploaderName[0]}
-                            </div>
-                            <div style="flex: 1;">
-                                <div style="display: flex; align-items: center; gap: 0.5rem;">
-                                    <span style="font-size: 0.9rem;">${uploaderName}</span>
-                                    <span style="font-size: 0.75rem; color: var(--primary);">${levelIcons[uploaderLevel] || ''} ${uploaderLevel}</span>
+                            ${uploaderChip(paper.uploader, `
+                                <div style="width: 32px; height: 32px; background: #334155; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 14px; overflow: hidden;">
+                                    ${uploaderPic ? `<img src="${uploaderPic}" style="width:100%;height:100%;object-fit:cover;">` : uploaderName[0]}
                                 </div>
-                            </div>
+                                <div style="flex: 1;">
+                                    <div style="display: flex; align-items: center; gap: 0.5rem;">
+                                        <span class="uploader-name" style="font-size: 0.9rem;">${uploaderName}</span>
+                                        <span style="font-size: 0.75rem; color: var(--primary);">${levelIcon(uploaderLevel)} ${uploaderLevel}</span>
+                                    </div>
+                                </div>
+                            `)}
                         </div>
                         
                         <div style="display: flex; gap: 0.5rem;">
@@ -1216,6 +2085,807 @@ function renderLikedPapersCollapsible() {
     }
 }
 
+// Own uploads with review status
+async function loadMyUploads() {
+    const container = document.getElementById('myUploadsList');
+    if (!container || !currentUser) return;
+
+    let myPapers = [];
+    try {
+        myPapers = await api.getMyPapers();
+    } catch (e) {
+        console.error('Failed to load uploads:', e);
+    }
+
+    if (myPapers.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem;">
+                <p class="text-muted">No uploads yet.</p>
+            </div>
+        `;
+        return;
+    }
+
+    rememberPapers(myPapers);
+    container.innerHTML = myPapers.map(paper => `
+        <div data-my-paper="${paper._id}" style="padding: 0.75rem 1rem; margin-bottom: 0.5rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem;">
+                <div style="flex: 1; min-width: 0;">
+                    <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                        <span class="badge">${paper.category}</span>
+                        <span class="status-badge ${paper.status}">${paper.status}</span>
+                    </div>
+                    <h4 style="margin: 0; font-size: 0.95rem;">${escapeHtml(paper.subject)}</h4>
+                    <p class="text-muted" style="margin: 0.25rem 0 0 0; font-size: 0.8rem;">${escapeHtml(paper.courseCode)} • ${paper.examYear || 'N/A'} • Uploaded ${new Date(paper.createdAt).toLocaleDateString()}</p>
+                </div>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap; justify-content: flex-end;">
+                    <button class="btn btn-outline btn-sm" onclick="viewListedPaper('${paper._id}')">View</button>
+                    <button class="btn btn-outline btn-sm" onclick="toggleMyPaperEdit('${paper._id}')">Edit</button>
+                    <button class="btn btn-danger btn-sm" onclick="deleteMyPaper('${paper._id}')">Delete</button>
+                </div>
+            </div>
+            ${paper.status === 'rejected' && paper.rejectionReason ? `<p style="margin: 0.5rem 0 0 0; font-size: 0.85rem; color: #ef4444;">Reason: ${escapeHtml(paper.rejectionReason)}</p>` : ''}
+            <form class="my-paper-edit hidden" onsubmit="saveMyPaper(event, '${paper._id}')">
+                <div class="form-field">
+                    <input type="text" name="courseCode" value="${escapeHtml(paper.courseCode)}" placeholder="Course code">
+                    <small class="field-error hidden" data-error-for="courseCode"></small>
+                </div>
+                <div class="form-field">
+                    <input type="text" name="subject" value="${escapeHtml(paper.subject)}" placeholder="Subject">
+                    <small class="field-error hidden" data-error-for="subject"></small>
+                </div>
+                <div class="my-paper-edit-grid">
+                    <div class="form-field">
+                        <input type="number" name="examYear" value="${escapeHtml(paper.examYear || '')}" placeholder="Exam year">
+                        <small class="field-error hidden" data-error-for="examYear"></small>
+                    </div>
+                    <div class="form-field">
+                        <select name="semesterTerm">
+                            ${Object.keys(semesterLabels).map(term => `<option value="${term}" ${paper.semesterTerm === term ? 'selected' : ''}>${semesterLabels[term]}</option>`).join('')}
+                        </select>
+                        <small class="field-error hidden" data-error-for="semesterTerm"></small>
+                    </div>
+                    <div class="form-field">
+                        <select name="category">
+                            ${['CAT1', 'CAT2', 'FAT'].map(category => `<option value="${category}" ${paper.category === category ? 'selected' : ''}>${category}</option>`).join('')}
+                        </select>
+                        <small class="field-error hidden" data-error-for="category"></small>
+                    </div>
+                    <div class="form-field">
+                        <input type="text" name="slot" value="${escapeHtml(paper.slot || '')}" placeholder="Slot (optional)">
+                        <small class="field-error hidden" data-error-for="slot"></small>
+                    </div>
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button type="submit" class="btn btn-primary btn-sm">Save</button>
+                    <button type="button" class="btn btn-outline btn-sm" onclick="toggleMyPaperEdit('${paper._id}')">Cancel</button>
+                </div>
+            </form>
+        </div>
+    `).join('');
+}
+
+function toggleMyPaperEdit(paperId) {
+    document.querySelector(`[data-my-paper="${paperId}"] .my-paper-edit`).classList.toggle('hidden');
+}
+
+// Points and upload counts change when an approved paper is deleted
+async function refreshCurrentUser() {
+    const fresh = await api.getUser();
+    if (!fresh) return;
+    currentUser = fresh;
+    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    updateProfileUI();
+}
+
+async function saveMyPaper(event, paperId) {
+    event.preventDefault();
+    const form = event.target;
+    form.querySelectorAll('.field-error').forEach(el => {
+        el.innerText = '';
+        el.classList.add('hidden');
+    });
+
+    const fields = Object.fromEntries(new FormData(form));
+    try {
+        await api.updatePaper(paperId, fields);
+    } catch (err) {
+        const errors = err.data && err.data.errors ? err.data.errors : [];
+        const shown = errors.filter(({ field, msg }) => {
+            const errorEl = form.querySelector(`[data-error-for="${field}"]`);
+            if (!errorEl) return false;
+            errorEl.innerText = msg;
+            errorEl.classList.remove('hidden');
+            return true;
+        });
+        if (shown.length === 0) showCustomAlert(`Could not save paper: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadMyUploads();
+    loadPapers();
+}
+
+async function deleteMyPaper(paperId) {
+    if (!confirm('Delete this paper for good? Points you earned for it are taken back.')) return;
+
+    try {
+        await api.deletePaper(paperId);
+    } catch (err) {
+        showCustomAlert(`Could not delete paper: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadMyUploads();
+    loadPapers();
+    refreshCurrentUser();
+}
+
+// Prize money: eligibility, the request form and the user's request history
+const REWARD_FIELD_INPUTS = {
+    payoutMethod: 'rewardMethod',
+    upiId: 'rewardUpiId',
+    accountName: 'rewardAccountName',
+    accountNumber: 'rewardAccountNumber',
+    ifsc: 'rewardIfsc'
+};
+
+// How a request is paid out, for the history and the admin list
+function rewardPayoutText(request) {
+    return request.payoutMethod === 'upi'
+        ? `UPI ${escapeHtml(request.upiId)}`
+        : `Bank ${escapeHtml(request.accountName)} • ${escapeHtml(request.accountNumber)} • ${escapeHtml(request.ifsc)}`;
+}
+
+async function loadRewards() {
+    const statusEl = document.getElementById('rewardStatus');
+    const form = document.getElementById('rewardForm');
+    const historyEl = document.getElementById('rewardHistory');
+    if (!statusEl || !currentUser) return;
+
+    let eligibility, requests;
+    try {
+        [eligibility, requests] = await Promise.all([api.getRewardEligibility(), api.getRewardRequests()]);
+    } catch (e) {
+        console.error('Failed to load prize money:', e);
+        statusEl.innerText = `Could not load prize money: ${e.message}`;
+        form.classList.add('hidden');
+        return;
+    }
+
+    statusEl.innerText = eligibility.eligible
+        ? `🎉 You reached ${eligibility.rewardLevel} with ${eligibility.points} points. Request your prize money below.`
+        : eligibility.reason;
+    form.classList.toggle('hidden', !eligibility.eligible);
+
+    historyEl.innerHTML = requests.map(request => `
+        <div style="padding: 0.75rem 1rem; margin-bottom: 0.5rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+            <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                <span class="status-badge ${request.status}">${request.status}</span>
+                <span class="text-muted" style="font-size: 0.8rem;">${request.points} points • Requested ${new Date(request.createdAt).toLocaleDateString()}</span>
+            </div>
+            <p class="text-muted" style="margin: 0; font-size: 0.85rem;">${rewardPayoutText(request)}${request.paidAt ? ` • Paid ${new Date(request.paidAt).toLocaleDateString()}` : ''}</p>
+            ${request.status === 'rejected' && request.rejectionReason ? `<p style="margin: 0.5rem 0 0 0; font-size: 0.85rem; color: #ef4444;">Reason: ${escapeHtml(request.rejectionReason)}</p>` : ''}
+        </div>
+    `).join('');
+}
+
+function toggleRewardFields() {
+    const method = document.getElementById('rewardMethod').value;
+    document.getElementById('rewardUpiFields').classList.toggle('hidden', method !== 'upi');
+    document.getElementById('rewardBankFields').classList.toggle('hidden', method !== 'bank');
+}
+
+function clearRewardErrors() {
+    document.querySelectorAll('#rewardForm .field-error').forEach(el => {
+        el.innerText = '';
+        el.classList.add('hidden');
+    });
+    document.querySelectorAll('#rewardForm .input-error').forEach(el => el.classList.remove('input-error'));
+}
+
+// Show the server's { field, msg } errors under the matching inputs; false if none had a place on the form
+function showRewardErrors(errors) {
+    let shown = false;
+    errors.forEach(({ field, msg }) => {
+        const errorEl = document.querySelector(`#rewardForm [data-error-for="${field}"]`);
+        if (!errorEl) return;
+
+        errorEl.innerText = msg;
+        errorEl.classList.remove('hidden');
+        document.getElementById(REWARD_FIELD_INPUTS[field]).classList.add('input-error');
+        shown = true;
+    });
+    return shown;
+}
+
+document.getElementById('rewardForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearRewardErrors();
+
+    const payoutMethod = document.getElementById('rewardMethod').value;
+    const details = payoutMethod === 'upi'
+        ? { payoutMethod, upiId: document.getElementById('rewardUpiId').value.trim() }
+        : {
+            payoutMethod,
+            accountName: document.getElementById('rewardAccountName').value.trim(),
+            accountNumber: document.getElementById('rewardAccountNumber').value.trim(),
+            ifsc: document.getElementById('rewardIfsc').value.trim()
+        };
+
+    try {
+        await api.requestReward(details);
+    } catch (err) {
+        if (!(err.data && err.data.errors && showRewardErrors(err.data.errors))) {
+            showCustomAlert(`Could not request prize money: ${err.message}`);
+        }
+        return;
+    }
+
+    e.target.reset();
+    toggleRewardFields();
+    playSound('pop');
+    showCustomAlert('Request sent! An admin will review it and send your prize money.');
+    loadRewards();
+});
+
+// Moderation queue
+async function loadModerationQueue() {
+    const container = document.getElementById('moderationList');
+    if (!container) return;
+
+    let pending = [];
+    try {
+        pending = await api.getModerationQueue('pending');
+    } catch (e) {
+        console.error('Failed to load moderation queue:', e);
+        container.innerHTML = `<p class="text-muted text-center">Could not load the queue: ${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    if (pending.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center" style="padding: 2rem;">🎉 Nothing to review.</p>`;
+        return;
+    }
+
+    rememberPapers(pending);
+    container.innerHTML = pending.map(paper => {
+        const uploaderName = paper.uploader ? escapeHtml(`${paper.uploader.firstName} ${paper.uploader.lastName}`) : 'Unknown';
+        return `
+            <div id="moderation-${paper._id}" style="padding: 1rem; margin-bottom: 0.75rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                    <span class="badge">${paper.category}</span>
+                    <span class="text-muted" style="font-size: 0.8rem;">${paper.examYear || 'N/A'} • ${escapeHtml(paper.examName || '')}</span>
+                </div>
+                <h4 style="margin: 0;">${escapeHtml(paper.subject)}</h4>
+                <p class="text-muted" style="margin: 0.25rem 0 0.75rem 0; font-size: 0.85rem;">${escapeHtml(paper.courseCode)} • Uploaded by ${uploaderName} on ${new Date(paper.createdAt).toLocaleString()}</p>
+                ${paper.duplicateOf ? `
+                    <p style="margin: 0 0 0.75rem 0; font-size: 0.85rem; color: #f59e0b;">
+                        ⚠️ Looks like a duplicate of <a href="${escapeHtml(paper.duplicateOf.filePath)}" target="_blank" style="color: inherit; text-decoration: underline;">${escapeHtml(paper.duplicateOf.subject)} (${escapeHtml(paper.duplicateOf.courseCode)}, ${paper.duplicateOf.status})</a>
+                    </p>` : ''}
+                <input type="text" id="rejectReason-${paper._id}" placeholder="Reason (required to reject)" style="margin-bottom: 0.5rem;">
+                <div style="display: flex; gap: 0.5rem;">
+                    <button class="btn btn-outline btn-sm" onclick="viewListedPaper('${paper._id}')">View</button>
+                    <button class="btn btn-primary btn-sm" onclick="moderatePaper('${paper._id}', 'approve')">Approve</button>
+                    <button class="btn btn-danger btn-sm" onclick="moderatePaper('${paper._id}', 'reject')">Reject</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function moderatePaper(paperId, action) {
+    try {
+        if (action === 'approve') {
+            await api.approvePaper(paperId);
+        } else {
+            const reason = document.getElementById(`rejectReason-${paperId}`).value.trim();
+            if (!reason) {
+                showCustomAlert('Please enter a reason for rejecting this paper.');
+                return;
+            }
+            await api.rejectPaper(paperId, reason);
+        }
+    } catch (err) {
+        showCustomAlert(`Could not ${action} paper: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadModerationQueue();
+    // Approved papers show up in search
+    if (action === 'approve') loadPapers();
+}
+
+// Reports inbox
+const REPORT_REASON_LABELS = {
+    wrong_details: 'Wrong details',
+    blurry: 'Blurry / unreadable',
+    duplicate: 'Duplicate',
+    inappropriate: 'Inappropriate',
+    other: 'Other'
+};
+
+async function loadReports() {
+    const container = document.getElementById('reportsList');
+    if (!container) return;
+
+    let reported = [];
+    try {
+        reported = await api.getReports();
+    } catch (e) {
+        console.error('Failed to load reports:', e);
+        container.innerHTML = `<p class="text-muted text-center">Could not load reports: ${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    if (reported.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center" style="padding: 2rem;">🎉 No open reports.</p>`;
+        return;
+    }
+
+    rememberPapers(reported.map(({ paper }) => paper));
+    container.innerHTML = reported.map(({ paper, reports }) => `
+        <div style="padding: 1rem; margin-bottom: 0.75rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+            <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                <span class="badge">${paper.category}</span>
+                <span class="status-badge rejected">${reports.length} report${reports.length === 1 ? '' : 's'}</span>
+                ${paper.hidden ? '<span class="status-badge pending">hidden</span>' : ''}
+            </div>
+            <h4 style="margin: 0;">${escapeHtml(paper.subject)}</h4>
+            <p class="text-muted" style="margin: 0.25rem 0 0.75rem 0; font-size: 0.85rem;">${escapeHtml(paper.courseCode)} • ${paper.examYear || 'N/A'}</p>
+            <ul style="margin: 0 0 0.75rem 1.25rem; font-size: 0.85rem;">
+                ${reports.map(r => `
+                    <li style="margin-bottom: 0.25rem;">
+                        <strong>${REPORT_REASON_LABELS[r.reason] || escapeHtml(r.reason)}</strong>${r.note ? `: ${escapeHtml(r.note)}` : ''}
+                        <span class="text-muted">— ${r.reporter ? escapeHtml(`${r.reporter.firstName} ${r.reporter.lastName}`) : 'Unknown'}, ${new Date(r.createdAt).toLocaleDateString()}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                <button class="btn btn-outline btn-sm" onclick="viewListedPaper('${paper._id}')">View</button>
+                <button class="btn btn-primary btn-sm" onclick="handleReportedPaper('${paper._id}', 'reports/resolve')" title="The problem has been fixed">Resolve</button>
+                <button class="btn btn-outline btn-sm" onclick="handleReportedPaper('${paper._id}', 'reports/dismiss')" title="Nothing wrong with this paper">Dismiss</button>
+                ${paper.hidden ? '' : `<button class="btn btn-outline btn-sm" onclick="handleReportedPaper('${paper._id}', 'hide')">Hide</button>`}
+                <button class="btn btn-danger btn-sm" onclick="handleReportedPaper('${paper._id}', 'remove')">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Course catalog for moderators: fix names, or merge a duplicate into the right course
+let moderationCourses = [];
+
+async function loadCourses() {
+    const container = document.getElementById('coursesList');
+    if (!container) return;
+
+    try {
+        moderationCourses = await api.getCourses();
+    } catch (e) {
+        console.error('Failed to load courses:', e);
+        container.innerHTML = `<p class="text-muted text-center">Could not load courses: ${e.message}</p>`;
+        return;
+    }
+
+    if (moderationCourses.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center" style="padding: 2rem;">No courses yet.</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <datalist id="courseCodeOptions">
+            ${moderationCourses.map(c => `<option value="${escapeHtml(c.code)}">${escapeHtml(c.name)}</option>`).join('')}
+        </datalist>
+    ` + moderationCourses.map(c => `
+        <div data-course-id="${c.id}" style="padding: 1rem; margin-bottom: 0.75rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+            <div class="course-fields">
+                <input type="text" data-course-field="code" value="${escapeHtml(c.code)}" placeholder="Code">
+                <input type="text" data-course-field="name" value="${escapeHtml(c.name)}" placeholder="Name">
+                <input type="text" data-course-field="school" value="${escapeHtml(c.school || '')}" placeholder="School">
+                <input type="number" data-course-field="credits" value="${c.credits === null ? '' : c.credits}" min="0" max="40" placeholder="Credits">
+            </div>
+            <div style="display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center;">
+                <span class="text-muted" style="font-size: 0.85rem; flex: 1;">${c.paperCount} paper${c.paperCount === 1 ? '' : 's'}</span>
+                <button class="btn btn-primary btn-sm" onclick="saveCourse('${c.id}')">Save</button>
+                <input type="text" data-merge-into list="courseCodeOptions" placeholder="Merge into (code)" style="max-width: 180px; margin: 0;">
+                <button class="btn btn-outline btn-sm" onclick="mergeCourse('${c.id}')">Merge</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function saveCourse(courseId) {
+    const row = document.querySelector(`[data-course-id="${courseId}"]`);
+    const fields = {};
+    row.querySelectorAll('[data-course-field]').forEach(input => {
+        fields[input.dataset.courseField] = input.value.trim();
+    });
+
+    try {
+        await api.updateCourse(courseId, fields);
+    } catch (err) {
+        showCustomAlert(`Could not update course: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadCourses();
+    loadPapers();
+}
+
+async function mergeCourse(courseId) {
+    const row = document.querySelector(`[data-course-id="${courseId}"]`);
+    const code = row.querySelector('[data-merge-into]').value.toUpperCase().replace(/[\s-]+/g, '');
+    const source = moderationCourses.find(c => c.id === courseId);
+    const target = moderationCourses.find(c => c.code === code);
+
+    if (!target || target.id === courseId) {
+        showCustomAlert('Pick another course code from the list to merge into.');
+        return;
+    }
+    if (!confirm(`Merge ${source.code} into ${target.code} (${target.name})? Its ${source.paperCount} paper(s) move over and ${source.code} is removed.`)) return;
+
+    try {
+        await api.mergeCourse(courseId, target.id);
+    } catch (err) {
+        showCustomAlert(`Could not merge courses: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadCourses();
+    loadPapers();
+}
+
+async function handleReportedPaper(paperId, action) {
+    if (action === 'remove' && !confirm('Remove this paper and its file permanently?')) return;
+
+    try {
+        if (action === 'remove') await api.removePaper(paperId);
+        else await api.moderateReportedPaper(paperId, action);
+    } catch (err) {
+        showCustomAlert(`Could not update paper: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadReports();
+    loadPapers();
+}
+
+// Reward requests for admins, by status
+let rewardReviewStatus = 'pending';
+
+function setRewardStatus(status) {
+    rewardReviewStatus = status;
+    loadRewardReviewList();
+}
+
+async function loadRewardReviewList() {
+    const container = document.getElementById('rewardsList');
+    document.querySelectorAll('#rewardStatusTabs [data-status]').forEach(btn => {
+        btn.classList.toggle('btn-primary', btn.dataset.status === rewardReviewStatus);
+        btn.classList.toggle('btn-outline', btn.dataset.status !== rewardReviewStatus);
+    });
+
+    let requests = [];
+    try {
+        requests = await api.getRewardReviewList(rewardReviewStatus);
+    } catch (e) {
+        console.error('Failed to load reward requests:', e);
+        container.innerHTML = `<p class="text-muted text-center">Could not load reward requests: ${e.message}</p>`;
+        return;
+    }
+
+    if (requests.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center" style="padding: 2rem;">No ${rewardReviewStatus} requests.</p>`;
+        return;
+    }
+
+    container.innerHTML = requests.map(request => {
+        const canReject = request.status === 'pending' || request.status === 'approved';
+        return `
+            <div style="padding: 1rem; margin-bottom: 0.75rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+                <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                    <span class="status-badge ${request.status}">${request.status}</span>
+                    <span class="text-muted" style="font-size: 0.8rem;">${request.points} points • Requested ${new Date(request.createdAt).toLocaleString()}</span>
+                </div>
+                <h4 style="margin: 0;">${request.user ? `${escapeHtml(request.user.firstName)} ${escapeHtml(request.user.lastName)}` : 'Unknown'}</h4>
+                <p class="text-muted" style="margin: 0.25rem 0 0.75rem 0; font-size: 0.85rem;">${request.user ? escapeHtml(request.user.email) : ''} • ${rewardPayoutText(request)}</p>
+                ${request.rejectionReason ? `<p style="margin: 0 0 0.75rem 0; font-size: 0.85rem; color: #ef4444;">Reason: ${escapeHtml(request.rejectionReason)}</p>` : ''}
+                ${canReject ? `<input type="text" id="rewardRejectReason-${request.id}" placeholder="Reason (required to reject)" style="margin-bottom: 0.5rem;">` : ''}
+                <div style="display: flex; gap: 0.5rem;">
+                    ${request.status === 'pending' ? `<button class="btn btn-primary btn-sm" onclick="reviewReward('${request.id}', 'approve')">Approve</button>` : ''}
+                    ${request.status === 'approved' ? `<button class="btn btn-primary btn-sm" onclick="reviewReward('${request.id}', 'paid')">Mark Paid</button>` : ''}
+                    ${canReject ? `<button class="btn btn-danger btn-sm" onclick="reviewReward('${request.id}', 'reject')">Reject</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function reviewReward(requestId, action) {
+    let reason;
+    if (action === 'reject') {
+        reason = document.getElementById(`rewardRejectReason-${requestId}`).value.trim();
+        if (!reason) {
+            showCustomAlert('Please enter a reason for rejecting this request.');
+            return;
+        }
+    }
+    if (action === 'paid' && !confirm('Mark this request as paid? Only do this after sending the money.')) return;
+
+    try {
+        await api.reviewReward(requestId, action, reason);
+    } catch (err) {
+        showCustomAlert(`Could not update request: ${err.message}`);
+        return;
+    }
+
+    playSound('pop');
+    loadRewardReviewList();
+}
+
+// Public profile of another user, opened from the uploader chip on papers
+let viewedUserId = null;
+
+function openUserProfile(userId, event) {
+    if (event) event.stopPropagation();
+    viewedUserId = userId;
+    showPage('userProfile');
+    window.scrollTo(0, 0);
+}
+
+async function loadUserProfile() {
+    const header = document.getElementById('userProfileHeader');
+    const papersGrid = document.getElementById('userProfilePapers');
+    header.innerHTML = '<p class="text-muted text-center">Loading…</p>';
+    papersGrid.innerHTML = '';
+
+    let profile;
+    try {
+        profile = await api.getPublicProfile(viewedUserId);
+    } catch (e) {
+        console.error('Failed to load profile:', e);
+        header.innerHTML = `<p class="text-muted text-center">Could not load this profile: ${escapeHtml(e.message)}</p>`;
+        return;
+    }
+
+    const name = escapeHtml(`${profile.firstName} ${profile.lastName}`);
+    header.innerHTML = `
+        <div class="profile-header">
+            <div class="profile-avatar-container">
+                <div class="profile-avatar">${profile.profilePic ? `<img src="${profile.profilePic}" alt="${name}">` : escapeHtml(profile.firstName ? profile.firstName[0] : 'U')}</div>
+            </div>
+            <h2>${name}</h2>
+            ${profile.bio ? `<p class="text-muted">${escapeHtml(profile.bio)}</p>` : ''}
+        </div>
+        <div class="stats-grid">
+            <div class="stat-box">
+                <p>Current Level</p>
+                <h3>${levelIcon(profile.level)} ${profile.level}</h3>
+            </div>
+            <div class="stat-box">
+                <p>Contribution Points</p>
+                <h3>${profile.points}</h3>
+            </div>
+            <div class="stat-box">
+                <p>Papers Uploaded</p>
+                <h3 style="color: #06b6d4;">${profile.uploads}</h3>
+            </div>
+            <div class="stat-box stat-box-wide">
+                <p>Badges</p>
+                <div class="profile-badges">
+                    ${profile.badges.length > 0
+                        ? profile.badges.map(badge => `<span class="profile-badge" title="${escapeHtml(badge.description)}">${badge.icon} ${escapeHtml(badge.name)}</span>`).join('')
+                        : '<span class="text-muted">No badges yet.</span>'}
+                </div>
+            </div>
+        </div>
+    `;
+
+    papersGrid.innerHTML = profile.papers.length > 0
+        ? profile.papers.map(paperCardHtml).join('')
+        : `<p class="text-muted" style="grid-column: 1/-1; text-align: center;">No approved uploads yet.</p>`;
+}
+
+// Leaderboard page: ranking for the chosen period, optionally for one course
+let leaderboardPeriod = 'all';
+let leaderboardRequestId = 0;
+
+const leaderboardCourseInput = document.getElementById('leaderboardCourse');
+leaderboardCourseInput.addEventListener('change', () => loadLeaderboard());
+attachCourseAutocomplete(leaderboardCourseInput, course => {
+    leaderboardCourseInput.value = course.code;
+    loadLeaderboard();
+});
+
+function setLeaderboardPeriod(period) {
+    leaderboardPeriod = period;
+    loadLeaderboard();
+}
+
+async function loadLeaderboard() {
+    const container = document.getElementById('leaderboardList');
+    document.querySelectorAll('#leaderboardPeriods [data-period]').forEach(btn => {
+        btn.classList.toggle('btn-primary', btn.dataset.period === leaderboardPeriod);
+        btn.classList.toggle('btn-outline', btn.dataset.period !== leaderboardPeriod);
+    });
+
+    const params = { period: leaderboardPeriod };
+    const course = leaderboardCourseInput.value.trim();
+    if (course) params.course = course;
+
+    // Only the latest request gets to render
+    const requestId = ++leaderboardRequestId;
+    try {
+        const data = await api.getLeaderboard(params);
+        if (requestId !== leaderboardRequestId) return;
+        renderLeaderboard(data);
+    } catch (e) {
+        if (requestId !== leaderboardRequestId) return;
+        container.innerHTML = `<p class="text-muted" style="text-align: center; padding: 2rem;">${escapeHtml(e.message || 'Failed to load the leaderboard')}</p>`;
+    }
+}
+
+function renderLeaderboardRow(entry) {
+    const isMe = currentUser && entry.user.id === currentUser.id;
+    const name = escapeHtml(`${entry.user.firstName} ${entry.user.lastName}`);
+    const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+    const avatar = entry.user.profilePic
+        ? `<img src="${entry.user.profilePic}" alt="${name}">`
+        : escapeHtml(entry.user.firstName ? entry.user.firstName[0] : 'U');
+
+    return `
+        <div class="leaderboard-row ${isMe ? 'is-me' : ''}">
+            <span class="leaderboard-rank">${medals[entry.rank] || `#${entry.rank}`}</span>
+            <span class="leaderboard-avatar">${avatar}</span>
+            <div style="flex: 1; min-width: 0;">
+                <h4 style="margin: 0; font-size: 0.95rem;">${name}${isMe ? ' (you)' : ''}</h4>
+                <span style="font-size: 0.75rem; color: var(--primary);">${levelIcon(entry.user.level)} ${entry.user.level}</span>
+            </div>
+            <div style="text-align: right;">
+                <div style="font-weight: 600;">${entry.points} pts</div>
+                <div class="text-muted" style="font-size: 0.8rem;">${entry.uploads} upload${entry.uploads === 1 ? '' : 's'}</div>
+            </div>
+        </div>
+    `;
+}
+
+function renderLeaderboard(data) {
+    const container = document.getElementById('leaderboardList');
+
+    if (data.entries.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem;">
+                <p class="text-muted">No points earned${data.course ? ` for ${escapeHtml(data.course)}` : ''} in this period yet.</p>
+            </div>
+        `;
+        return;
+    }
+
+    // The user's own place is listed below the ranking when it is further down
+    const meListed = !data.me || data.entries.some(entry => entry.user.id === data.me.user.id);
+    container.innerHTML = data.entries.map(renderLeaderboardRow).join('') +
+        (meListed ? '' : `<p class="text-muted" style="text-align: center; margin: 0.5rem 0;">…</p>${renderLeaderboardRow(data.me)}`);
+}
+
+async function loadDownloadHistory() {
+    if (!currentUser || !api.token) return;
+    try {
+        downloadHistory = await api.getMyDownloads();
+    } catch (e) {
+        console.error('Failed to load download history:', e);
+    }
+    renderDownloadHistory();
+}
+
+function renderDownloadHistory() {
+    const container = document.getElementById('downloadHistoryList');
+    if (!container) return;
+
+    if (downloadHistory.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem;">
+                <p class="text-muted">No downloads yet.</p>
+            </div>
+        `;
+        return;
+    }
+
+    rememberPapers(downloadHistory.map(entry => entry.paper));
+    container.innerHTML = downloadHistory.map(entry => {
+        const paper = entry.paper;
+        const downloadedAt = new Date(entry.downloadedAt).toLocaleString();
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 1rem; margin-bottom: 0.5rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid #334155;">
+                <div style="flex: 1; min-width: 0;">
+                    <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem;">
+                        <span class="badge">${paper.category}</span>
+                        <span class="text-muted" style="font-size: 0.8rem;">${downloadedAt}</span>
+                    </div>
+                    <h4 style="margin: 0; font-size: 0.95rem;">${escapeHtml(paper.subject)}</h4>
+                    <p class="text-muted" style="margin: 0.25rem 0 0 0; font-size: 0.8rem;">${escapeHtml(paper.courseCode)} • ${paper.examYear || 'N/A'}</p>
+                </div>
+                <button class="btn btn-outline btn-sm" onclick="viewListedPaper('${paper._id}')">View</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Logged-in devices
+async function loadSessions() {
+    const container = document.getElementById('sessionsList');
+    if (!container || !currentUser) return;
+
+    let sessions = [];
+    try {
+        sessions = await api.getSessions();
+    } catch (e) {
+        console.error('Failed to load sessions:', e);
+    }
+
+    if (sessions.length === 0) {
+        container.innerHTML = `<p class="text-muted text-center">No active sessions.</p>`;
+        return;
+    }
+
+    container.innerHTML = sessions.map(session => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 1rem; margin-bottom: 0.5rem; background: #1e293b; border-radius: 0.5rem; border: 1px solid ${session.current ? 'var(--primary)' : '#334155'};">
+            <div style="flex: 1; min-width: 0;">
+                <h4 style="margin: 0; font-size: 0.95rem;">${describeUserAgent(session.userAgent)}${session.current ? ' <span class="badge">This device</span>' : ''}</h4>
+                <p class="text-muted" style="margin: 0.25rem 0 0 0; font-size: 0.8rem;">Last active ${new Date(session.lastUsedAt || session.createdAt).toLocaleString()}${session.ip ? ` • ${session.ip}` : ''}</p>
+            </div>
+            <button class="btn btn-outline btn-sm" onclick="revokeSession('${session.id}', ${session.current})">Log out</button>
+        </div>
+    `).join('');
+}
+
+// Short "Chrome on Android" style label from a user agent string
+function describeUserAgent(userAgent) {
+    const ua = userAgent || '';
+    const browser = /Edg\//.test(ua) ? 'Edge' :
+        /OPR\//.test(ua) ? 'Opera' :
+        /Chrome\//.test(ua) ? 'Chrome' :
+        /Firefox\//.test(ua) ? 'Firefox' :
+        /Safari\//.test(ua) ? 'Safari' : 'Unknown browser';
+    const os = /Android/.test(ua) ? 'Android' :
+        /iPhone|iPad/.test(ua) ? 'iOS' :
+        /Windows/.test(ua) ? 'Windows' :
+        /Mac OS X/.test(ua) ? 'macOS' :
+        /Linux/.test(ua) ? 'Linux' : 'unknown OS';
+    return `${browser} on ${os}`;
+}
+
+async function revokeSession(sessionId, isCurrent) {
+    try {
+        await api.revokeSession(sessionId);
+    } catch (err) {
+        showCustomAlert('Could not log out that device: ' + err.message);
+        return;
+    }
+
+    if (isCurrent) {
+        logout();
+    } else {
+        loadSessions();
+    }
+}
+
+async function logoutEverywhere() {
+    try {
+        await api.logoutEverywhere();
+    } catch (err) {
+        showCustomAlert('Could not log out everywhere: ' + err.message);
+        return;
+    }
+    logout();
+    showCustomAlert('Logged out of all devices.');
+}
+
 function toggleLikedPaper(paperId) {
 
     if (expandedLikedPaperId === paperId) {
@@ -1232,13 +2902,19 @@ function handleLikedPapersSearch(event) {
     renderLikedPapersCollapsible();
 }
 
-function removeLikedPaper(paperId, event) {
+async function removeLikedPaper(paperId, event) {
     if (event) event.stopPropagation();
 
-    let likedPapers = JSON.parse(localStorage.getItem('likedPapers') || '[]');
-    const idx = likedPapers.indexOf(paperId);
-    if (idx !== -1) likedPapers.splice(idx, 1);
-    localStorage.setItem('likedPapers', JSON.stringify(likedPapers));
+    try {
+        const result = await api.unlikePaper(paperId);
+        likedPapers = likedPapers.filter(p => p._id !== paperId);
+        updateLikeButtons(paperId, false, result.likeCount);
+    } catch (err) {
+        console.error('Failed to remove like:', err);
+        showCustomAlert('Could not remove like: ' + err.message);
+        return;
+    }
+
     // If profile open, refresh UI
     if (!profileSection.classList.contains('hidden')) {
         updateProfileUI();
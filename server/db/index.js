@@ -0,0 +1,33 @@
+// Data-access layer. Routes talk to these repositories instead of a database client,
+// so the API can run against Supabase in production or an embedded SQLite file offline.
+//
+// The driver is picked with DB_DRIVER in .env:
+//   supabase (default) -> Supabase Postgres through supabase-js
+//   sqlite             -> embedded SQLite built from db_schema.sql (SQLITE_PATH, ':memory:' works too)
+//
+// Both drivers export the same repositories:
+//   users         -> UserRepo
+//   papers        -> PaperRepo
+//   paperVersions -> PaperVersionRepo
+//   otps          -> OtpRepo
+//   likes         -> LikeRepo
+//   downloads     -> DownloadRepo
+//   sessions      -> SessionRepo
+//   reports       -> ReportRepo
+//   courses       -> CourseRepo
+//   points        -> PointsRepo
+//   badges        -> BadgeRepo
+//   rewards       -> RewardRepo
+
+const drivers = {
+    supabase: () => require('./supabase'),
+    sqlite: () => require('./sqlite')
+};
+
+const driverName = (process.env.DB_DRIVER || 'supabase').toLowerCase();
+
+if (!drivers[driverName]) {
+    throw new Error(`Unknown DB_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+module.exports = drivers[driverName]();
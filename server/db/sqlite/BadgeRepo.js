@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+class BadgeRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Record a badge for a user; returns the row, or null if they already had it
+    async award(userId, badge) {
+        const id = crypto.randomUUID();
+        const { changes } = this.db.prepare(`
+            insert into user_badges (id, user_id, badge) values (?, ?, ?)
+            on conflict (user_id, badge) do nothing
+        `).run(id, userId, badge);
+        return changes === 1 ? this.db.prepare('select * from user_badges where id = ?').get(id) : null;
+    }
+
+    // A user's badges, in the order they were earned
+    async listForUser(userId) {
+        return this.db.prepare('select * from user_badges where user_id = ? order by earned_at asc').all(userId);
+    }
+
+    // The numbers the badge rules test, same as badge_stats in Postgres
+    async statsFor(userId) {
+        return this.db.prepare(`
+            select
+                (select count(*) from papers p where p.uploader_id = @userId and p.status = 'approved') as uploads,
+                (select count(*) from papers p where p.uploader_id = @userId and p.status = 'approved' and p.category = 'FAT') as fat_uploads,
+                (select count(*) from (
+                    select p.course_code from papers p
+                    where p.uploader_id = @userId and p.status = 'approved'
+                    group by p.course_code
+                    having count(distinct p.category) = 3
+                )) as complete_courses,
+                (select count(*) from (
+                    select distinct d.paper_id, d.user_id from paper_downloads d
+                    join papers p on p.id = d.paper_id
+                    where p.uploader_id = @userId and d.user_id <> @userId
+                )) as downloads_received
+        `).get({ userId });
+    }
+}
+
+module.exports = BadgeRepo;
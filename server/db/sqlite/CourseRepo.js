@@ -0,0 +1,71 @@
+const { insert, update } = require('./sql');
+const escapeLike = require('../../utils/escapeLike');
+
+class CourseRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findById(id) {
+        return this.db.prepare('select * from courses where id = ?').get(id) || null;
+    }
+
+    async findByCode(code) {
+        return this.db.prepare('select * from courses where code = ?').get(code) || null;
+    }
+
+    // The course with this (normalized) code, created with `name` if there is none yet
+    async findOrCreate({ code, name }) {
+        return this.db.transaction(() => this.db.prepare('select * from courses where code = ?').get(code)
+            || insert(this.db, 'courses', { code, name }))();
+    }
+
+    // Autocomplete: courses whose code starts with `codePrefix` (normalized) or whose name
+    // contains `namePart`, code matches first
+    async search({ codePrefix, namePart, limit = 10 }) {
+        return this.db.prepare(`
+            select * from courses
+            where code like @code escape '\\' or name like @name escape '\\'
+            order by code like @code escape '\\' desc, code
+            limit @limit
+        `).all({
+            code: codePrefix ? `${escapeLike(codePrefix)}%` : null,
+            name: `%${escapeLike(namePart)}%`,
+            limit
+        });
+    }
+
+    // Every course with how many papers (in any status) belong to it, by code
+    async listWithPaperCounts() {
+        return this.db.prepare(`
+            select c.*, (select count(*) from papers p where p.course_id = c.id) as paper_count
+            from courses c
+            order by c.code
+        `).all();
+    }
+
+    async update(id, fields) {
+        return update(this.db, 'courses', id, fields);
+    }
+
+    // Copy the course's code and name onto its papers, so search and cards show the catalog spelling
+    async syncPapers(id) {
+        return this.db.prepare(`
+            update papers set
+                course_code = (select code from courses where id = @id),
+                subject = (select name from courses where id = @id)
+            where course_id = @id
+        `).run({ id }).changes;
+    }
+
+    // Move every paper of `sourceId` to `targetId` and delete `sourceId`; returns how many papers moved
+    async merge(sourceId, targetId) {
+        return this.db.transaction(() => {
+            const moved = this.db.prepare('update papers set course_id = ? where course_id = ?').run(targetId, sourceId).changes;
+            this.db.prepare('delete from courses where id = ?').run(sourceId);
+            return moved;
+        })();
+    }
+}
+
+module.exports = CourseRepo;
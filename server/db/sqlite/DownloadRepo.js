@@ -0,0 +1,27 @@
+const { insert } = require('./sql');
+
+class DownloadRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ paperId, userId }) {
+        return insert(this.db, 'paper_downloads', { paper_id: paperId, user_id: userId || null });
+    }
+
+    async countForPaper(paperId) {
+        return this.db.prepare('select count(*) as count from paper_downloads where paper_id = ?').get(paperId).count;
+    }
+
+    async countForUser(userId) {
+        return this.db.prepare('select count(*) as count from paper_downloads where user_id = ?').get(userId).count;
+    }
+
+    // A user's downloads, most recent first
+    async listForUser(userId, { limit = 50 } = {}) {
+        return this.db.prepare('select * from paper_downloads where user_id = ? order by created_at desc limit ?')
+            .all(userId, limit);
+    }
+}
+
+module.exports = DownloadRepo;
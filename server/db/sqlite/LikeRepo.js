@@ -0,0 +1,40 @@
+class LikeRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async like(userId, paperId) {
+        this.db.prepare('insert or ignore into paper_likes (user_id, paper_id) values (?, ?)').run(userId, paperId);
+    }
+
+    // Like several papers at once, skipping IDs that don't exist or aren't public
+    async likeMany(userId, paperIds) {
+        if (paperIds.length === 0) return;
+        this.db.prepare(`
+            insert or ignore into paper_likes (user_id, paper_id)
+            select ?, id from papers
+            where id in (${paperIds.map(() => '?').join(', ')}) and status = 'approved' and hidden_at is null
+        `).run(userId, ...paperIds);
+    }
+
+    async unlike(userId, paperId) {
+        this.db.prepare('delete from paper_likes where user_id = ? and paper_id = ?').run(userId, paperId);
+    }
+
+    async isLiked(userId, paperId) {
+        return Boolean(this.db.prepare('select 1 from paper_likes where user_id = ? and paper_id = ?').get(userId, paperId));
+    }
+
+    async countForPaper(paperId) {
+        return this.db.prepare('select count(*) as count from paper_likes where paper_id = ?').get(paperId).count;
+    }
+
+    // IDs of the papers a user liked, most recent first
+    async listPaperIds(userId) {
+        return this.db.prepare('select paper_id from paper_likes where user_id = ? order by created_at desc')
+            .all(userId)
+            .map(r => r.paper_id);
+    }
+}
+
+module.exports = LikeRepo;
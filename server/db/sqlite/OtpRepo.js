@@ -0,0 +1,41 @@
+const { insert } = require('./sql');
+
+class OtpRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(otp) {
+        return insert(this.db, 'otp_codes', otp);
+    }
+
+    // Most recent OTP for this email that is unused and not expired, or null
+    async findActive(email) {
+        return this.db.prepare(`
+            select * from otp_codes
+            where email = ? and used_at is null and expires_at > ?
+            order by created_at desc
+            limit 1
+        `).get(email, new Date().toISOString()) || null;
+    }
+
+    // Count one attempt. Only succeeds if nobody else counted one in the meantime,
+    // so parallel guesses can't slip past the attempt limit.
+    async incrementAttempts(otp) {
+        const result = this.db.prepare('update otp_codes set attempts = attempts + 1 where id = ? and attempts = ?')
+            .run(otp.id, otp.attempts);
+        return result.changes === 1;
+    }
+
+    async markUsed(id) {
+        this.db.prepare('update otp_codes set used_at = ? where id = ?').run(new Date().toISOString(), id);
+    }
+
+    // Retire every outstanding OTP for this email (when a new one is issued)
+    async invalidateAll(email) {
+        this.db.prepare('update otp_codes set used_at = ? where email = ? and used_at is null')
+            .run(new Date().toISOString(), email);
+    }
+}
+
+module.exports = OtpRepo;
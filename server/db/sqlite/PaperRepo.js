@@ -0,0 +1,292 @@
+const { insert, update, setClause } = require('./sql');
+const { SNIPPET_START, SNIPPET_END } = require('../../utils/snippet');
+const { normalizeCourseCode } = require('../../utils/courseCode');
+
+// Same shape supabase-js gives for `uploader:users (...)`, plus like and download counts
+const PAPER_COLUMNS = `
+    p.*,
+    (select count(*) from paper_likes l where l.paper_id = p.id) as like_count,
+    (select count(*) from paper_downloads d where d.paper_id = p.id) as download_count,
+    u.id as uploader__id,
+    u.first_name as uploader__first_name,
+    u.last_name as uploader__last_name,
+    u.profile_pic as uploader__profile_pic,
+    u.points as uploader__points,
+    (select group_concat(b.badge) from user_badges b where b.user_id = u.id) as uploader__badges
+`;
+
+const SELECT_WITH_UPLOADER = `
+    select ${PAPER_COLUMNS}
+    from papers p
+    left join users u on u.id = p.uploader_id
+`;
+
+// FTS5 query matching every word of the search (as a prefix), or null if it has no words.
+// Words are quoted so FTS5 operators typed by users are searched for literally.
+function ftsQuery(query) {
+    const words = query.match(/[\p{L}\p{N}]+/gu);
+    return words ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+// Search filter -> condition on papers p, each using the named parameter of the same name
+const FILTER_CONDITIONS = {
+    courseCode: 'p.course_code = @courseCode',
+    year: 'p.exam_year = @year',
+    category: 'p.category = @category',
+    slot: 'upper(p.slot) = upper(@slot)',
+    semester: 'p.semester_term = @semester',
+    uploader: 'p.uploader_id = @uploader',
+    academicYear: 'p.academic_year = @academicYear'
+};
+
+// Minimum trigram similarity for a subject to match the search, and for a "did you mean"
+// suggestion (same values as filter_papers and suggest_papers in db_schema.sql)
+const FUZZY_MATCH = 0.5;
+const SUGGESTION_MATCH = 0.25;
+
+const SORT_ORDERS = {
+    relevance: `f.rank is null, f.rank,
+        word_similarity(@query, p.subject) desc, similarity(@query, p.subject) desc,
+        p.created_at desc, p.id desc`,
+    newest: 'p.created_at desc, p.id desc',
+    oldest: 'p.created_at asc, p.id asc',
+    popular: 'like_count desc, p.created_at desc, p.id desc',
+    downloads: 'download_count desc, p.created_at desc, p.id desc'
+};
+
+// FROM/WHERE for the public papers matching the search text and filters, with its parameters.
+// With a search text, f is the paper's FTS5 hit (rank and snippet) when its words matched.
+// `except` leaves one filter out, for counting the values of that facet.
+function matchingPapers(query, filters, except) {
+    const params = {};
+    const conditions = ["p.status = 'approved'", 'p.hidden_at is null'];
+    let ftsJoin = '';
+
+    if (query) {
+        // Words anywhere in the paper (FTS5), a substring of its details, the course code however
+        // it was typed, or a subject that looks like the search (typos).
+        // LIKE is case-insensitive for ASCII in SQLite, same as ILIKE in Postgres.
+        ftsJoin = `left join (
+            select rowid, rank, snippet(papers_fts, 3, @start, @end, ' … ', 20) as snippet
+            from papers_fts
+            where papers_fts match @match
+        ) f on f.rowid = p.rowid`;
+        conditions.push(`(f.rowid is not null
+            or p.subject like @pattern
+            or p.course_code like @pattern
+            or p.course_code like @codePattern
+            or p.exam_name like @pattern
+            or word_similarity(@query, p.subject) >= ${FUZZY_MATCH})`);
+        Object.assign(params, {
+            query,
+            pattern: `%${query}%`,
+            // null (matches nothing) when the search is only spaces and hyphens
+            codePattern: normalizeCourseCode(query) ? `%${normalizeCourseCode(query)}%` : null,
+            match: ftsQuery(query) || '""',
+            start: SNIPPET_START,
+            end: SNIPPET_END
+        });
+    }
+
+    for (const [name, condition] of Object.entries(FILTER_CONDITIONS)) {
+        if (filters[name] && name !== except) {
+            conditions.push(condition);
+            params[name] = filters[name];
+        }
+    }
+
+    return {
+        from: `from papers p
+            left join users u on u.id = p.uploader_id
+            ${ftsJoin}
+            where ${conditions.join('\n              and ')}`,
+        params
+    };
+}
+
+function withUploader(row) {
+    if (!row) return null;
+    const { uploader__id, uploader__first_name, uploader__last_name, uploader__profile_pic, uploader__points, uploader__badges, ...paper } = row;
+    paper.uploader = uploader__id ? {
+        first_name: uploader__first_name,
+        last_name: uploader__last_name,
+        profile_pic: uploader__profile_pic,
+        points: uploader__points,
+        badges: uploader__badges ? uploader__badges.split(',') : []
+    } : null;
+    return paper;
+}
+
+class PaperRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findById(id) {
+        return withUploader(this.db.prepare(`${SELECT_WITH_UPLOADER} where p.id = ?`).get(id));
+    }
+
+    // The bare papers row, search text included
+    async findRow(id) {
+        return this.db.prepare('select * from papers where id = ?').get(id) || null;
+    }
+
+    async findByIds(ids) {
+        if (ids.length === 0) return [];
+        return this.db.prepare(`${SELECT_WITH_UPLOADER} where p.id in (${ids.map(() => '?').join(', ')})`)
+            .all(...ids)
+            .map(withUploader);
+    }
+
+    async create(paper) {
+        return insert(this.db, 'papers', paper);
+    }
+
+    async update(id, fields) {
+        return update(this.db, 'papers', id, fields);
+    }
+
+    // Returns the deleted row, or null if there was none
+    async delete(id) {
+        const paper = this.db.prepare('select * from papers where id = ?').get(id);
+        if (!paper) return null;
+        this.db.prepare('delete from papers where id = ?').run(id);
+        return paper;
+    }
+
+    // The earliest paper with exactly these bytes, ignoring rejected uploads
+    async findByContentHash(hash) {
+        return this.db.prepare(`
+            select * from papers
+            where content_hash = ? and status != 'rejected'
+            order by created_at asc
+            limit 1
+        `).get(hash) || null;
+    }
+
+    // id and perceptual_hash of every non-rejected image paper, for near-duplicate checks
+    async listPerceptualHashes() {
+        return this.db.prepare(`select id, perceptual_hash from papers where perceptual_hash is not null and status != 'rejected'`).all();
+    }
+
+    // Papers that have a stored file but no thumbnail yet, oldest first
+    async listWithoutThumbnail({ limit = 100 } = {}) {
+        return this.db.prepare(`
+            select * from papers
+            where thumbnail_key is null and file_path is not null
+            order by created_at asc
+            limit ?
+        `).all(limit);
+    }
+
+    // Papers whose text has not been extracted yet (text_source is null), oldest first
+    async listWithoutText({ limit = 100 } = {}) {
+        return this.db.prepare(`
+            select * from papers
+            where text_source is null and file_path is not null
+            order by created_at asc
+            limit ?
+        `).all(limit);
+    }
+
+    // Papers missing semester_term or academic_year (uploaded before those fields), oldest first
+    async listWithoutTerm({ limit = 100 } = {}) {
+        return this.db.prepare(`
+            select * from papers
+            where semester_term is null or academic_year is null
+            order by created_at asc
+            limit ?
+        `).all(limit);
+    }
+
+    // Moderation queue: oldest first
+    async listByStatus(status) {
+        return this.db.prepare(`${SELECT_WITH_UPLOADER} where p.status = ? order by p.created_at asc`)
+            .all(status)
+            .map(withUploader);
+    }
+
+    // A user's own uploads in any status, newest first
+    async listByUploader(userId) {
+        return this.db.prepare(`${SELECT_WITH_UPLOADER} where p.uploader_id = ? order by p.created_at desc`)
+            .all(userId)
+            .map(withUploader);
+    }
+
+    // Update a paper only if it is still in one of `fromStatuses`.
+    // Returns the updated row, or null if someone else moved it first.
+    async transitionStatus(id, fromStatuses, fields) {
+        const result = this.db.prepare(`
+            update papers set ${setClause(fields)}
+            where id = @__id and status in (${fromStatuses.map((_, i) => `@__from${i}`).join(', ')})
+        `).run({
+            ...fields,
+            __id: id,
+            ...Object.fromEntries(fromStatuses.map((status, i) => [`__from${i}`, status]))
+        });
+        return result.changes === 1 ? this.db.prepare('select * from papers where id = ?').get(id) : null;
+    }
+
+    // One page of public papers matching the search text and filters, in `sort` order.
+    // `after` ({ createdAt, id } of the previous page's last paper) continues newest/oldest without an offset.
+    async search({ query, filters = {}, sort = 'newest', limit = 20, offset = 0, after = null } = {}) {
+        const { from, params } = matchingPapers(query, filters);
+        let keyset = '';
+        if (after) {
+            keyset = `and (p.created_at, p.id) ${sort === 'oldest' ? '>' : '<'} (@afterCreatedAt, @afterId)`;
+            Object.assign(params, { afterCreatedAt: after.createdAt, afterId: after.id });
+        }
+
+        return this.db.prepare(`
+            select ${PAPER_COLUMNS}, ${query ? 'f.snippet' : 'null as snippet'}
+            ${from}
+            ${keyset}
+            order by ${SORT_ORDERS[sort]}
+            limit @limit offset @offset
+        `).all({ ...params, limit, offset }).map(withUploader);
+    }
+
+    // { facet, value, count } rows: 'total' (value null) is the number of matches, the other
+    // facets count matches per value. Each facet ignores its own filter, like paper_facets in Postgres.
+    async facetCounts({ query, filters = {} } = {}) {
+        const count = (facet, value, except) => {
+            const { from, params } = matchingPapers(query, filters, except);
+            return this.db.prepare(`
+                select '${facet}' as facet, ${value} as value, count(*) as count
+                ${from}
+                group by 2
+                having value is not null
+            `).all(params);
+        };
+
+        const { from, params } = matchingPapers(query, filters);
+        return [
+            this.db.prepare(`select 'total' as facet, null as value, count(*) as count ${from}`).get(params),
+            ...count('year', 'p.exam_year', 'year'),
+            ...count('category', 'p.category', 'category'),
+            ...count('slot', 'upper(p.slot)', 'slot'),
+            ...count('semester', 'p.semester_term', 'semester'),
+            ...count('academicYear', 'p.academic_year', 'academicYear')
+        ];
+    }
+
+    // "Did you mean": subjects and course codes of public papers (within the filters) that look
+    // like the search text, closest first
+    async suggest({ query, filters = {}, limit = 3 } = {}) {
+        const { from, params } = matchingPapers(null, filters);
+        return this.db.prepare(`
+            select suggestion
+            from (
+                select p.subject as suggestion, word_similarity(@query, p.subject) as score ${from}
+                union all
+                select p.course_code, similarity(@code, p.course_code) ${from}
+            )
+            where score >= ${SUGGESTION_MATCH}
+            group by suggestion
+            order by max(score) desc, suggestion
+            limit @limit
+        `).all({ ...params, query, code: normalizeCourseCode(query), limit }).map(row => row.suggestion);
+    }
+}
+
+module.exports = PaperRepo;
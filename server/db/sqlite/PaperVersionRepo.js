@@ -0,0 +1,64 @@
+const { insert } = require('./sql');
+
+// Everything but the search text, which can be large and is only needed to restore a version
+const LIST_COLUMNS = `
+    v.id, v.paper_id, v.version, v.file_path, v.file_key, v.thumbnail_url, v.thumbnail_key,
+    v.content_hash, v.perceptual_hash, v.text_source, v.uploaded_by, v.created_at,
+    u.first_name as uploader__first_name, u.last_name as uploader__last_name
+`;
+
+// Same shape supabase-js gives for `uploader:users (first_name, last_name)`
+function withUploader(row) {
+    const { uploader__first_name, uploader__last_name, ...version } = row;
+    version.uploader = row.uploaded_by ? { first_name: uploader__first_name, last_name: uploader__last_name } : null;
+    return version;
+}
+
+class PaperVersionRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Returns null if the paper already has a version with this number (a concurrent upload)
+    async create(version) {
+        try {
+            return insert(this.db, 'paper_versions', version);
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return null;
+            throw err;
+        }
+    }
+
+    async find(paperId, version) {
+        return this.db.prepare('select * from paper_versions where paper_id = ? and version = ?').get(paperId, version) || null;
+    }
+
+    // A paper's versions, newest first, with who uploaded each
+    async listForPaper(paperId) {
+        return this.db.prepare(`
+            select ${LIST_COLUMNS}
+            from paper_versions v
+            left join users u on u.id = v.uploaded_by
+            where v.paper_id = ?
+            order by v.version desc
+        `).all(paperId).map(withUploader);
+    }
+
+    // The number the paper's next version gets
+    async nextNumber(paperId) {
+        return this.db.prepare('select coalesce(max(version), 0) + 1 as next from paper_versions where paper_id = ?').get(paperId).next;
+    }
+
+    // The earliest version with exactly these bytes, ignoring rejected papers (like papers.findByContentHash)
+    async findByContentHash(hash) {
+        return this.db.prepare(`
+            select v.* from paper_versions v
+            join papers p on p.id = v.paper_id
+            where v.content_hash = ? and p.status != 'rejected'
+            order by v.created_at asc
+            limit 1
+        `).get(hash) || null;
+    }
+}
+
+module.exports = PaperVersionRepo;
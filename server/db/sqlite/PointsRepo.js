@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+class PointsRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Add an entry to the ledger and refresh the user's cached total, in one transaction.
+    // Returns the entry, or null if the same (user, reason, refId) was already recorded.
+    async record({ userId, amount, reason, refId = null }) {
+        return this.db.transaction(() => {
+            const id = crypto.randomUUID();
+            const { changes } = this.db.prepare(`
+                insert into points_events (id, user_id, amount, reason, ref_id)
+                values (?, ?, ?, ?, ?)
+                on conflict (user_id, reason, ref_id) do nothing
+            `).run(id, userId, amount, reason, refId);
+            if (changes === 0) return null;
+
+            this.db.prepare(`
+                update users set points = (select coalesce(sum(amount), 0) from points_events where user_id = @userId)
+                where id = @userId
+            `).run({ userId });
+            return this.db.prepare('select * from points_events where id = ?').get(id);
+        })();
+    }
+
+    // { points, uploads } for a user, computed from the ledger (removed uploads don't count)
+    async summary(userId) {
+        return this.db.prepare(`
+            select coalesce(sum(amount), 0) as points,
+                   count(case when reason = 'upload_approved' then 1 end)
+                     - count(case when reason = 'upload_removed' then 1 end) as uploads
+            from points_events
+            where user_id = ?
+        `).get(userId);
+    }
+
+    // Users ranked by points earned since `since` (an ISO date, null for all time), only counting
+    // approved uploads of `courseCode` when given. The top `limit` places plus userId's own place,
+    // like points_leaderboard in Postgres.
+    async leaderboard({ since = null, courseCode = null, limit = 50, userId = null } = {}) {
+        return this.db.prepare(`
+            with earned as (
+                select e.user_id,
+                       sum(e.amount) as points,
+                       count(case when e.reason = 'upload_approved' then 1 end)
+                         - count(case when e.reason = 'upload_removed' then 1 end) as uploads
+                from points_events e
+                left join papers p on p.id = e.ref_id and e.reason = 'upload_approved'
+                where (@since is null or e.created_at >= @since)
+                  and (@courseCode is null or p.course_code = @courseCode)
+                group by e.user_id
+                having sum(e.amount) > 0
+            ),
+            ranked as (
+                select u.id as user_id, u.first_name, u.last_name, u.profile_pic, u.points as total_points,
+                       t.points, t.uploads,
+                       rank() over (order by t.points desc, t.uploads desc) as place
+                from earned t
+                join users u on u.id = t.user_id
+            )
+            select * from ranked
+            where place <= @limit or user_id = @userId
+            order by place, first_name, last_name
+        `).all({ since, courseCode, limit, userId });
+    }
+
+    // What the user's entries for refId add up to (e.g. what a paper has earned so far)
+    async totalForRef(userId, refId) {
+        return this.db.prepare('select coalesce(sum(amount), 0) as total from points_events where user_id = ? and ref_id = ?')
+            .get(userId, refId).total;
+    }
+
+    // A user's entries, most recent first
+    async listForUser(userId, { limit = 50 } = {}) {
+        return this.db.prepare('select * from points_events where user_id = ? order by created_at desc limit ?')
+            .all(userId, limit);
+    }
+}
+
+module.exports = PointsRepo;
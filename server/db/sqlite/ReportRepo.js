@@ -0,0 +1,46 @@
+const { insert } = require('./sql');
+
+class ReportRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(report) {
+        return insert(this.db, 'paper_reports', report);
+    }
+
+    // The reporter's open report on a paper, if any
+    async findOpen(paperId, reporterId) {
+        return this.db.prepare(`select * from paper_reports where paper_id = ? and reporter_id = ? and status = 'open'`)
+            .get(paperId, reporterId) || null;
+    }
+
+    async countOpenForPaper(paperId) {
+        return this.db.prepare(`select count(distinct reporter_id) as count from paper_reports where paper_id = ? and status = 'open'`)
+            .get(paperId).count;
+    }
+
+    // Open reports with the reporter's name, oldest first
+    async listOpen() {
+        return this.db.prepare(`
+            select r.*, u.first_name as reporter__first_name, u.last_name as reporter__last_name
+            from paper_reports r
+            left join users u on u.id = r.reporter_id
+            where r.status = 'open'
+            order by r.created_at asc
+        `).all().map(({ reporter__first_name, reporter__last_name, ...report }) => ({
+            ...report,
+            reporter: { first_name: reporter__first_name, last_name: reporter__last_name }
+        }));
+    }
+
+    // Close every open report on a paper as 'resolved' or 'dismissed'; returns how many were closed
+    async closeAllForPaper(paperId, { status, resolvedBy }) {
+        return this.db.prepare(`
+            update paper_reports set status = ?, resolved_by = ?, resolved_at = ?
+            where paper_id = ? and status = 'open'
+        `).run(status, resolvedBy, new Date().toISOString(), paperId).changes;
+    }
+}
+
+module.exports = ReportRepo;
@@ -0,0 +1,65 @@
+const { insert, setClause } = require('./sql');
+
+// Joined requester columns, nested as `user` like the Supabase embed
+function withUser(row) {
+    if (!row) return null;
+    const { user__first_name, user__last_name, user__email, ...request } = row;
+    request.user = { first_name: user__first_name, last_name: user__last_name, email: user__email };
+    return request;
+}
+
+class RewardRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Returns null if the user already has a request that is not rejected
+    async create(request) {
+        try {
+            return insert(this.db, 'reward_requests', request);
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return null;
+            throw err;
+        }
+    }
+
+    async findById(id) {
+        return this.db.prepare('select * from reward_requests where id = ?').get(id) || null;
+    }
+
+    // The user's pending, approved or paid request, if any
+    async findActiveForUser(userId) {
+        return this.db.prepare(`select * from reward_requests where user_id = ? and status <> 'rejected'`).get(userId) || null;
+    }
+
+    // A user's requests, newest first
+    async listForUser(userId) {
+        return this.db.prepare('select * from reward_requests where user_id = ? order by created_at desc').all(userId);
+    }
+
+    // Requests in a status with the requester's name and email, oldest first
+    async listByStatus(status) {
+        return this.db.prepare(`
+            select r.*, u.first_name as user__first_name, u.last_name as user__last_name, u.email as user__email
+            from reward_requests r
+            join users u on u.id = r.user_id
+            where r.status = ?
+            order by r.created_at asc
+        `).all(status).map(withUser);
+    }
+
+    // Update a request only if it is still in one of `fromStatuses`; null if it is not
+    async transitionStatus(id, fromStatuses, fields) {
+        const result = this.db.prepare(`
+            update reward_requests set ${setClause(fields)}
+            where id = @__id and status in (${fromStatuses.map((_, i) => `@__from${i}`).join(', ')})
+        `).run({
+            ...fields,
+            __id: id,
+            ...Object.fromEntries(fromStatuses.map((status, i) => [`__from${i}`, status]))
+        });
+        return result.changes === 1 ? this.findById(id) : null;
+    }
+}
+
+module.exports = RewardRepo;
@@ -0,0 +1,35 @@
+const { insert, update } = require('./sql');
+
+class SessionRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(session) {
+        return insert(this.db, 'sessions', session);
+    }
+
+    async findById(id) {
+        return this.db.prepare('select * from sessions where id = ?').get(id) || null;
+    }
+
+    async update(id, fields) {
+        return update(this.db, 'sessions', id, fields);
+    }
+
+    // Sessions that are neither revoked nor expired, most recently used first
+    async listActiveForUser(userId) {
+        return this.db.prepare(`
+            select * from sessions
+            where user_id = ? and revoked_at is null and expires_at > ?
+            order by last_used_at desc
+        `).all(userId, new Date().toISOString());
+    }
+
+    async revokeAllForUser(userId) {
+        this.db.prepare('update sessions set revoked_at = ? where user_id = ? and revoked_at is null')
+            .run(new Date().toISOString(), userId);
+    }
+}
+
+module.exports = SessionRepo;
@@ -0,0 +1,30 @@
+const { insert, update } = require('./sql');
+
+class UserRepo {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findById(id) {
+        return this.db.prepare('select * from users where id = ?').get(id) || null;
+    }
+
+    async findByEmail(email) {
+        return this.db.prepare('select * from users where email = ?').get(email) || null;
+    }
+
+    async create(user) {
+        return insert(this.db, 'users', user);
+    }
+
+    async update(id, fields) {
+        return update(this.db, 'users', id, fields);
+    }
+
+    // A page of { id } of every user, oldest account first (for maintenance scripts)
+    async listIds({ limit = 1000, offset = 0 } = {}) {
+        return this.db.prepare('select id from users order by created_at asc, id asc limit ? offset ?').all(limit, offset);
+    }
+}
+
+module.exports = UserRepo;
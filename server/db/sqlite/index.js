@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { applySchema } = require('./schema');
+const { similarity, wordSimilarity } = require('../../utils/trigram');
+const UserRepo = require('./UserRepo');
+const PaperRepo = require('./PaperRepo');
+const PaperVersionRepo = require('./PaperVersionRepo');
+const OtpRepo = require('./OtpRepo');
+const LikeRepo = require('./LikeRepo');
+const DownloadRepo = require('./DownloadRepo');
+const SessionRepo = require('./SessionRepo');
+const ReportRepo = require('./ReportRepo');
+const CourseRepo = require('./CourseRepo');
+const PointsRepo = require('./PointsRepo');
+const BadgeRepo = require('./BadgeRepo');
+const RewardRepo = require('./RewardRepo');
+
+const DB_PATH = process.env.SQLITE_PATH || path.join(__dirname, '../../data/pyq.sqlite');
+
+if (DB_PATH !== ':memory:') {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// pg_trgm's functions, used by fuzzy subject search
+db.function('similarity', { deterministic: true }, similarity);
+db.function('word_similarity', { deterministic: true }, wordSimilarity);
+
+applySchema(db);
+
+module.exports = {
+    users: new UserRepo(db),
+    papers: new PaperRepo(db),
+    paperVersions: new PaperVersionRepo(db),
+    otps: new OtpRepo(db),
+    likes: new LikeRepo(db),
+    downloads: new DownloadRepo(db),
+    sessions: new SessionRepo(db),
+    reports: new ReportRepo(db),
+    courses: new CourseRepo(db),
+    points: new PointsRepo(db),
+    badges: new BadgeRepo(db),
+    rewards: new RewardRepo(db)
+};
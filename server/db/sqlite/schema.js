@@ -0,0 +1,127 @@
+// Builds the SQLite database from db_schema.sql so both drivers share one schema.
+// The file is written for Supabase Postgres; the handful of Postgres-isms it uses
+// are rewritten here and Postgres-only statements (extensions, functions, RLS, tsvector) are skipped.
+// Full-text search is the one thing SQLite does its own way, with the FTS5 index below.
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '../../db_schema.sql');
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+// A version 4 UUID, same format as gen_random_uuid() and crypto.randomUUID()
+const RANDOM_UUID = `(lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' ||
+    substr('89ab', 1 + abs(random()) % 4, 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))))`;
+
+const POSTGRES_ONLY = [
+    /^create\s+extension\b/i,
+    /^create\s+(or\s+replace\s+)?function\b/i,
+    /^drop\s+function\b/i,
+    /^grant\b/i,
+    /^alter\s+table\s+\S+\s+enable\s+row\s+level\s+security/i,
+    /^create\s+policy\b/i,
+    /\busing\s+gin\b/i,
+    /\btsvector\b/i
+];
+
+// FTS5 index over papers, kept in sync by triggers. Postgres uses papers.search_vector instead.
+const SEARCH_INDEX = [
+    `create virtual table papers_fts using fts5(
+        subject, course_code, exam_name, content_text,
+        content = 'papers', content_rowid = 'rowid', tokenize = 'porter unicode61'
+    )`,
+    `create trigger papers_fts_insert after insert on papers begin
+        insert into papers_fts (rowid, subject, course_code, exam_name, content_text)
+        values (new.rowid, new.subject, new.course_code, new.exam_name, new.content_text);
+    end`,
+    `create trigger papers_fts_delete after delete on papers begin
+        insert into papers_fts (papers_fts, rowid, subject, course_code, exam_name, content_text)
+        values ('delete', old.rowid, old.subject, old.course_code, old.exam_name, old.content_text);
+    end`,
+    `create trigger papers_fts_update after update of subject, course_code, exam_name, content_text on papers begin
+        insert into papers_fts (papers_fts, rowid, subject, course_code, exam_name, content_text)
+        values ('delete', old.rowid, old.subject, old.course_code, old.exam_name, old.content_text);
+        insert into papers_fts (rowid, subject, course_code, exam_name, content_text)
+        values (new.rowid, new.subject, new.course_code, new.exam_name, new.content_text);
+    end`
+];
+
+// Split on semicolons, ignoring ones inside quotes or $$ function bodies
+function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let inDollar = false;
+    let inQuote = false;
+
+    for (let i = 0; i < sql.length; i++) {
+        const ch = sql[i];
+
+        if (!inQuote && sql.startsWith('$$', i)) {
+            inDollar = !inDollar;
+            current += '$$';
+            i++;
+            continue;
+        }
+        if (!inDollar && ch === "'") inQuote = !inQuote;
+
+        if (ch === ';' && !inDollar && !inQuote) {
+            statements.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) statements.push(current.trim());
+    return statements.filter(Boolean);
+}
+
+function stripComments(sql) {
+    return sql.replace(/--[^\n]*/g, '');
+}
+
+function translate(statement) {
+    return statement
+        .replace(/default\s+gen_random_uuid\(\)/gi, `default ${RANDOM_UUID}`)
+        .replace(/timezone\('utc'::text,\s*now\(\)\)/gi, NOW)
+        .replace(/\bnow\(\)/gi, NOW)
+        .replace(/\btimestamp\s+with\s+time\s+zone\b/gi, 'text')
+        .replace(/\btimestamptz\b/gi, 'text')
+        .replace(/\buuid\b/gi, 'text')
+        .replace(/\bjsonb?\b/gi, 'text');
+}
+
+function columnExists(db, table, column) {
+    return db.prepare(`pragma table_info(${table})`).all().some(c => c.name === column);
+}
+
+function applySchema(db) {
+    const sql = stripComments(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+    for (const raw of splitStatements(sql)) {
+        if (POSTGRES_ONLY.some(re => re.test(raw))) continue;
+
+        let statement = translate(raw)
+            // Re-running the schema must be safe, it runs on every start
+            .replace(/^create\s+table\s+(?!if\s+not\s+exists)/i, 'create table if not exists ')
+            .replace(/^create\s+(unique\s+)?index\s+(?!if\s+not\s+exists)/i, (m, unique) => `create ${unique || ''}index if not exists `);
+
+        // SQLite has no "add column if not exists", so check the table first
+        const addColumn = statement.match(/^alter\s+table\s+(\w+)\s+add\s+column\s+if\s+not\s+exists\s+(\w+)/i);
+        if (addColumn) {
+            const [, table, column] = addColumn;
+            if (columnExists(db, table, column)) continue;
+            statement = statement.replace(/\s+if\s+not\s+exists/i, '');
+        }
+
+        db.exec(statement);
+    }
+
+    // Created once, then filled with the papers that already exist
+    if (!db.prepare(`select 1 from sqlite_master where name = 'papers_fts'`).get()) {
+        db.transaction(() => {
+            SEARCH_INDEX.forEach(statement => db.exec(statement));
+            db.exec(`insert into papers_fts (papers_fts) values ('rebuild')`);
+        })();
+    }
+}
+
+module.exports = { applySchema };
@@ -0,0 +1,35 @@
+// Small helpers shared by the SQLite repositories
+const crypto = require('crypto');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+function assertColumns(fields) {
+    for (const column of Object.keys(fields)) {
+        if (!IDENTIFIER.test(column)) throw new Error(`Invalid column name: ${column}`);
+    }
+}
+
+// "a = @a, b = @b" for an UPDATE with named parameters
+function setClause(fields) {
+    assertColumns(fields);
+    return Object.keys(fields).map(c => `${c} = @${c}`).join(', ');
+}
+
+// Insert a row (generating a UUID when no id is given) and return it as stored
+function insert(db, table, row) {
+    const values = { id: crypto.randomUUID(), ...row };
+    assertColumns(values);
+    const columns = Object.keys(values);
+    db.prepare(`insert into ${table} (${columns.join(', ')}) values (${columns.map(c => `@${c}`).join(', ')})`).run(values);
+    return db.prepare(`select * from ${table} where id = ?`).get(values.id);
+}
+
+// Update a row by id and return it, or null when there is no such row
+function update(db, table, id, fields) {
+    if (Object.keys(fields).length > 0) {
+        db.prepare(`update ${table} set ${setClause(fields)} where id = @__id`).run({ ...fields, __id: id });
+    }
+    return db.prepare(`select * from ${table} where id = ?`).get(id) || null;
+}
+
+module.exports = { insert, update, setClause };
@@ -0,0 +1,33 @@
+const unwrap = require('./unwrap');
+
+class BadgeRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    // Record a badge for a user; returns the row, or null if they already had it
+    async award(userId, badge) {
+        const rows = unwrap(await this.supabase
+            .from('user_badges')
+            .upsert([{ user_id: userId, badge }], { onConflict: 'user_id,badge', ignoreDuplicates: true })
+            .select());
+        return rows[0] || null;
+    }
+
+    // A user's badges, in the order they were earned
+    async listForUser(userId) {
+        return unwrap(await this.supabase
+            .from('user_badges')
+            .select('*')
+            .eq('user_id', userId)
+            .order('earned_at', { ascending: true }));
+    }
+
+    // The numbers the badge rules test (badge_stats in db_schema.sql)
+    async statsFor(userId) {
+        const [row] = unwrap(await this.supabase.rpc('badge_stats', { p_user_id: userId }));
+        return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, Number(value)]));
+    }
+}
+
+module.exports = BadgeRepo;
@@ -0,0 +1,93 @@
+const unwrap = require('./unwrap');
+const escapeLike = require('../../utils/escapeLike');
+
+class CourseRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async findById(id) {
+        return unwrap(await this.supabase
+            .from('courses')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    async findByCode(code) {
+        return unwrap(await this.supabase
+            .from('courses')
+            .select('*')
+            .eq('code', code)
+            .maybeSingle());
+    }
+
+    // The course with this (normalized) code, created with `name` if there is none yet
+    async findOrCreate({ code, name }) {
+        unwrap(await this.supabase
+            .from('courses')
+            .upsert([{ code, name }], { onConflict: 'code', ignoreDuplicates: true }));
+        return this.findByCode(code);
+    }
+
+    // Autocomplete: courses whose code starts with `codePrefix` (normalized) or whose name
+    // contains `namePart`, code matches first
+    async search({ codePrefix, namePart, limit = 10 }) {
+        const [byCode, byName] = await Promise.all([
+            codePrefix
+                ? this.supabase.from('courses').select('*').like('code', `${escapeLike(codePrefix)}%`).order('code').limit(limit)
+                : { data: [] },
+            this.supabase.from('courses').select('*').ilike('name', `%${escapeLike(namePart)}%`).order('code').limit(limit)
+        ]);
+
+        const courses = new Map();
+        for (const course of [...unwrap(byCode), ...unwrap(byName)]) courses.set(course.id, course);
+        return [...courses.values()].slice(0, limit);
+    }
+
+    // Every course with how many papers (in any status) belong to it, by code
+    async listWithPaperCounts() {
+        const rows = unwrap(await this.supabase
+            .from('courses')
+            .select('*, papers (count)')
+            .order('code'));
+        return rows.map(({ papers, ...course }) => ({ ...course, paper_count: papers && papers[0] ? papers[0].count : 0 }));
+    }
+
+    async update(id, fields) {
+        return unwrap(await this.supabase
+            .from('courses')
+            .update(fields)
+            .eq('id', id)
+            .select()
+            .maybeSingle());
+    }
+
+    // Copy the course's code and name onto its papers, so search and cards show the catalog spelling
+    async syncPapers(id) {
+        const course = await this.findById(id);
+        if (!course) return 0;
+        const rows = unwrap(await this.supabase
+            .from('papers')
+            .update({ course_code: course.code, subject: course.name })
+            .eq('course_id', id)
+            .select('id'));
+        return rows.length;
+    }
+
+    // Move every paper of `sourceId` to `targetId` and delete `sourceId`; returns how many papers moved
+    async merge(sourceId, targetId) {
+        const moved = unwrap(await this.supabase
+            .from('papers')
+            .update({ course_id: targetId })
+            .eq('course_id', sourceId)
+            .select('id'));
+        unwrap(await this.supabase
+            .from('courses')
+            .delete()
+            .eq('id', sourceId));
+        return moved.length;
+    }
+}
+
+module.exports = CourseRepo;
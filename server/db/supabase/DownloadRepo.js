@@ -0,0 +1,44 @@
+const unwrap = require('./unwrap');
+
+class DownloadRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async record({ paperId, userId }) {
+        return unwrap(await this.supabase
+            .from('paper_downloads')
+            .insert([{ paper_id: paperId, user_id: userId || null }])
+            .select()
+            .single());
+    }
+
+    async countForPaper(paperId) {
+        return this._count('paper_id', paperId);
+    }
+
+    async countForUser(userId) {
+        return this._count('user_id', userId);
+    }
+
+    // A user's downloads, most recent first
+    async listForUser(userId, { limit = 50 } = {}) {
+        return unwrap(await this.supabase
+            .from('paper_downloads')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit));
+    }
+
+    async _count(column, value) {
+        const { count, error } = await this.supabase
+            .from('paper_downloads')
+            .select('*', { count: 'exact', head: true })
+            .eq(column, value);
+        if (error) throw error;
+        return count || 0;
+    }
+}
+
+module.exports = DownloadRepo;
@@ -0,0 +1,69 @@
+const unwrap = require('./unwrap');
+
+class LikeRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async like(userId, paperId) {
+        unwrap(await this.supabase
+            .from('paper_likes')
+            .upsert([{ user_id: userId, paper_id: paperId }], { onConflict: 'user_id,paper_id', ignoreDuplicates: true }));
+    }
+
+    // Like several papers at once, skipping IDs that don't exist or aren't public
+    async likeMany(userId, paperIds) {
+        if (paperIds.length === 0) return;
+
+        const existing = unwrap(await this.supabase
+            .from('papers')
+            .select('id')
+            .in('id', paperIds)
+            .eq('status', 'approved')
+            .is('hidden_at', null));
+        if (existing.length === 0) return;
+
+        unwrap(await this.supabase
+            .from('paper_likes')
+            .upsert(existing.map(p => ({ user_id: userId, paper_id: p.id })), { onConflict: 'user_id,paper_id', ignoreDuplicates: true }));
+    }
+
+    async unlike(userId, paperId) {
+        unwrap(await this.supabase
+            .from('paper_likes')
+            .delete()
+            .eq('user_id', userId)
+            .eq('paper_id', paperId));
+    }
+
+    async isLiked(userId, paperId) {
+        const row = unwrap(await this.supabase
+            .from('paper_likes')
+            .select('paper_id')
+            .eq('user_id', userId)
+            .eq('paper_id', paperId)
+            .maybeSingle());
+        return Boolean(row);
+    }
+
+    async countForPaper(paperId) {
+        const { count, error } = await this.supabase
+            .from('paper_likes')
+            .select('*', { count: 'exact', head: true })
+            .eq('paper_id', paperId);
+        if (error) throw error;
+        return count || 0;
+    }
+
+    // IDs of the papers a user liked, most recent first
+    async listPaperIds(userId) {
+        const rows = unwrap(await this.supabase
+            .from('paper_likes')
+            .select('paper_id')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false }));
+        return rows.map(r => r.paper_id);
+    }
+}
+
+module.exports = LikeRepo;
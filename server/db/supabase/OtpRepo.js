@@ -0,0 +1,58 @@
+const unwrap = require('./unwrap');
+
+class OtpRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async create(otp) {
+        return unwrap(await this.supabase
+            .from('otp_codes')
+            .insert([otp])
+            .select()
+            .single());
+    }
+
+    // Most recent OTP for this email that is unused and not expired, or null
+    async findActive(email) {
+        return unwrap(await this.supabase
+            .from('otp_codes')
+            .select('*')
+            .eq('email', email)
+            .is('used_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle());
+    }
+
+    // Count one attempt. Only succeeds if nobody else counted one in the meantime,
+    // so parallel guesses can't slip past the attempt limit.
+    async incrementAttempts(otp) {
+        const rows = unwrap(await this.supabase
+            .from('otp_codes')
+            .update({ attempts: otp.attempts + 1 })
+            .eq('id', otp.id)
+            .eq('attempts', otp.attempts)
+            .select('id'));
+        return rows.length === 1;
+    }
+
+    async markUsed(id) {
+        unwrap(await this.supabase
+            .from('otp_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', id));
+    }
+
+    // Retire every outstanding OTP for this email (when a new one is issued)
+    async invalidateAll(email) {
+        unwrap(await this.supabase
+            .from('otp_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('email', email)
+            .is('used_at', null));
+    }
+}
+
+module.exports = OtpRepo;
@@ -0,0 +1,230 @@
+const unwrap = require('./unwrap');
+
+// Every papers column except the search text (content_text, search_vector), which can be
+// large and is only needed by search_papers in the database
+const PAPER_FIELDS = `
+    id, subject, course_code, exam_year, exam_name, category, file_path, file_key,
+    uploader_id, created_at, status, rejection_reason, reviewed_by, reviewed_at, hidden_at,
+    content_hash, perceptual_hash, duplicate_of, thumbnail_url, thumbnail_key, text_source, slot, course_id,
+    semester_term, academic_year, version
+`;
+
+// Uploader columns embedded in every paper row as `uploader`, plus like and download counts.
+// papers has two foreign keys to users (uploader_id, reviewed_by), so the embed names the one to follow.
+const PAPER_WITH_UPLOADER = `
+    ${PAPER_FIELDS},
+    uploader:users!papers_uploader_id_fkey (
+        first_name,
+        last_name,
+        profile_pic,
+        points,
+        user_badges (badge)
+    ),
+    paper_likes (count),
+    paper_downloads (count)
+`;
+
+// Arguments shared by the search_papers and paper_facets functions, null for filters not in use
+function searchArgs(query, filters) {
+    return {
+        q: query || null,
+        f_course_code: filters.courseCode || null,
+        f_year: filters.year || null,
+        f_category: filters.category || null,
+        f_slot: filters.slot || null,
+        f_semester: filters.semester || null,
+        f_uploader: filters.uploader || null,
+        f_academic_year: filters.academicYear || null
+    };
+}
+
+const embeddedCount = rows => (rows && rows[0] ? rows[0].count : 0);
+
+// Flatten the embedded counts into like_count/download_count and the uploader's badges into
+// a list of ids, same as the SQLite driver returns
+function withCounts(row) {
+    if (!row) return null;
+    const { paper_likes, paper_downloads, ...paper } = row;
+    paper.like_count = embeddedCount(paper_likes);
+    paper.download_count = embeddedCount(paper_downloads);
+    if (paper.uploader) {
+        const { user_badges, ...uploader } = paper.uploader;
+        paper.uploader = { ...uploader, badges: (user_badges || []).map(b => b.badge) };
+    }
+    return paper;
+}
+
+class PaperRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async findById(id) {
+        return withCounts(unwrap(await this.supabase
+            .from('papers')
+            .select(PAPER_WITH_UPLOADER)
+            .eq('id', id)
+            .maybeSingle()));
+    }
+
+    // The bare papers row, search text included (PAPER_FIELDS leaves it out)
+    async findRow(id) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    async findByIds(ids) {
+        if (ids.length === 0) return [];
+        return unwrap(await this.supabase
+            .from('papers')
+            .select(PAPER_WITH_UPLOADER)
+            .in('id', ids)).map(withCounts);
+    }
+
+    async create(paper) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .insert([paper])
+            .select()
+            .single());
+    }
+
+    async update(id, fields) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .update(fields)
+            .eq('id', id)
+            .select()
+            .maybeSingle());
+    }
+
+    // Returns the deleted row, or null if there was none
+    async delete(id) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .delete()
+            .eq('id', id)
+            .select()
+            .maybeSingle());
+    }
+
+    // The earliest paper with exactly these bytes, ignoring rejected uploads
+    async findByContentHash(hash) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('*')
+            .eq('content_hash', hash)
+            .neq('status', 'rejected')
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle());
+    }
+
+    // id and perceptual_hash of every non-rejected image paper, for near-duplicate checks
+    async listPerceptualHashes() {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('id, perceptual_hash')
+            .not('perceptual_hash', 'is', null)
+            .neq('status', 'rejected'));
+    }
+
+    // Papers that have a stored file but no thumbnail yet, oldest first
+    async listWithoutThumbnail({ limit = 100 } = {}) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('*')
+            .is('thumbnail_key', null)
+            .not('file_path', 'is', null)
+            .order('created_at', { ascending: true })
+            .limit(limit));
+    }
+
+    // Papers whose text has not been extracted yet (text_source is null), oldest first
+    async listWithoutText({ limit = 100 } = {}) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('*')
+            .is('text_source', null)
+            .not('file_path', 'is', null)
+            .order('created_at', { ascending: true })
+            .limit(limit));
+    }
+
+    // Papers missing semester_term or academic_year (uploaded before those fields), oldest first
+    async listWithoutTerm({ limit = 100 } = {}) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select('*')
+            .or('semester_term.is.null,academic_year.is.null')
+            .order('created_at', { ascending: true })
+            .limit(limit));
+    }
+
+    // Moderation queue: oldest first
+    async listByStatus(status) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select(PAPER_WITH_UPLOADER)
+            .eq('status', status)
+            .order('created_at', { ascending: true })).map(withCounts);
+    }
+
+    // A user's own uploads in any status, newest first
+    async listByUploader(userId) {
+        return unwrap(await this.supabase
+            .from('papers')
+            .select(PAPER_WITH_UPLOADER)
+            .eq('uploader_id', userId)
+            .order('created_at', { ascending: false })).map(withCounts);
+    }
+
+    // Update a paper only if it is still in one of `fromStatuses`.
+    // Returns the updated row, or null if someone else moved it first.
+    async transitionStatus(id, fromStatuses, fields) {
+        const rows = unwrap(await this.supabase
+            .from('papers')
+            .update(fields)
+            .eq('id', id)
+            .in('status', fromStatuses)
+            .select());
+        return rows[0] || null;
+    }
+
+    // One page of public papers matching the search text and filters, in `sort` order.
+    // `after` ({ createdAt, id } of the previous page's last paper) continues newest/oldest without an offset.
+    async search({ query, filters = {}, sort = 'newest', limit = 20, offset = 0, after = null } = {}) {
+        // search_papers (db_schema.sql) filters, ranks and pages the ids and builds the snippets.
+        // Everything goes in as function arguments, nothing is spliced into a filter string.
+        const hits = unwrap(await this.supabase.rpc('search_papers', {
+            ...searchArgs(query, filters),
+            sort,
+            lim: limit,
+            off: offset,
+            after_created_at: after ? after.createdAt : null,
+            after_id: after ? after.id : null
+        }));
+        const papers = new Map((await this.findByIds(hits.map(hit => hit.id))).map(p => [p.id, p]));
+        return hits
+            .filter(hit => papers.has(hit.id))
+            .map(hit => ({ ...papers.get(hit.id), snippet: hit.snippet }));
+    }
+
+    // { facet, value, count } rows: 'total' (value null) is the number of matches, the other
+    // facets count matches per value (see paper_facets in db_schema.sql)
+    async facetCounts({ query, filters = {} } = {}) {
+        return unwrap(await this.supabase.rpc('paper_facets', searchArgs(query, filters)));
+    }
+
+    // "Did you mean": subjects and course codes of public papers (within the filters) that look
+    // like the search text, closest first (see suggest_papers in db_schema.sql)
+    async suggest({ query, filters = {}, limit = 3 } = {}) {
+        const rows = unwrap(await this.supabase.rpc('suggest_papers', { ...searchArgs(query, filters), lim: limit }));
+        return rows.map(row => row.suggestion);
+    }
+}
+
+module.exports = PaperRepo;
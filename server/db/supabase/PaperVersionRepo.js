@@ -0,0 +1,74 @@
+const unwrap = require('./unwrap');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Everything but the search text, which can be large and is only needed to restore a version
+const LIST_FIELDS = `
+    id, paper_id, version, file_path, file_key, thumbnail_url, thumbnail_key,
+    content_hash, perceptual_hash, text_source, uploaded_by, created_at,
+    uploader:users (first_name, last_name)
+`;
+
+class PaperVersionRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    // Returns null if the paper already has a version with this number (a concurrent upload)
+    async create(version) {
+        const { data, error } = await this.supabase
+            .from('paper_versions')
+            .insert([version])
+            .select()
+            .single();
+        if (error && error.code === UNIQUE_VIOLATION) return null;
+        if (error) throw error;
+        return data;
+    }
+
+    async find(paperId, version) {
+        return unwrap(await this.supabase
+            .from('paper_versions')
+            .select('*')
+            .eq('paper_id', paperId)
+            .eq('version', version)
+            .maybeSingle());
+    }
+
+    // A paper's versions, newest first, with who uploaded each
+    async listForPaper(paperId) {
+        return unwrap(await this.supabase
+            .from('paper_versions')
+            .select(LIST_FIELDS)
+            .eq('paper_id', paperId)
+            .order('version', { ascending: false }));
+    }
+
+    // The number the paper's next version gets
+    async nextNumber(paperId) {
+        const rows = unwrap(await this.supabase
+            .from('paper_versions')
+            .select('version')
+            .eq('paper_id', paperId)
+            .order('version', { ascending: false })
+            .limit(1));
+        return rows.length > 0 ? rows[0].version + 1 : 1;
+    }
+
+    // The earliest version with exactly these bytes, ignoring rejected papers (like papers.findByContentHash)
+    async findByContentHash(hash) {
+        const rows = unwrap(await this.supabase
+            .from('paper_versions')
+            .select('*, papers!inner (status)')
+            .eq('content_hash', hash)
+            .neq('papers.status', 'rejected')
+            .order('created_at', { ascending: true })
+            .limit(1));
+        if (rows.length === 0) return null;
+        const { papers, ...version } = rows[0];
+        return version;
+    }
+}
+
+module.exports = PaperVersionRepo;
@@ -0,0 +1,59 @@
+const unwrap = require('./unwrap');
+
+class PointsRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    // Add an entry to the ledger and refresh the user's cached total (record_points_event runs
+    // both in one transaction). Returns the entry, or null if it was already recorded.
+    async record({ userId, amount, reason, refId = null }) {
+        const rows = unwrap(await this.supabase.rpc('record_points_event', {
+            p_user_id: userId,
+            p_amount: amount,
+            p_reason: reason,
+            p_ref_id: refId
+        }));
+        return rows[0] || null;
+    }
+
+    // { points, uploads } for a user, computed from the ledger (removed uploads don't count)
+    async summary(userId) {
+        const [row] = unwrap(await this.supabase.rpc('points_summary', { p_user_id: userId }));
+        return { points: Number(row.points), uploads: Number(row.uploads) };
+    }
+
+    // Users ranked by points earned since `since` (an ISO date, null for all time), only counting
+    // approved uploads of `courseCode` when given. The top `limit` places plus userId's own place.
+    async leaderboard({ since = null, courseCode = null, limit = 50, userId = null } = {}) {
+        const rows = unwrap(await this.supabase.rpc('points_leaderboard', {
+            since,
+            f_course_code: courseCode,
+            lim: limit,
+            p_user_id: userId
+        }));
+        return rows.map(row => ({ ...row, points: Number(row.points), uploads: Number(row.uploads), place: Number(row.place) }));
+    }
+
+    // What the user's entries for refId add up to (e.g. what a paper has earned so far)
+    async totalForRef(userId, refId) {
+        const rows = unwrap(await this.supabase
+            .from('points_events')
+            .select('amount')
+            .eq('user_id', userId)
+            .eq('ref_id', refId));
+        return rows.reduce((total, row) => total + row.amount, 0);
+    }
+
+    // A user's entries, most recent first
+    async listForUser(userId, { limit = 50 } = {}) {
+        return unwrap(await this.supabase
+            .from('points_events')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit));
+    }
+}
+
+module.exports = PointsRepo;
@@ -0,0 +1,59 @@
+const unwrap = require('./unwrap');
+
+class ReportRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async create(report) {
+        return unwrap(await this.supabase
+            .from('paper_reports')
+            .insert([report])
+            .select()
+            .single());
+    }
+
+    // The reporter's open report on a paper, if any
+    async findOpen(paperId, reporterId) {
+        return unwrap(await this.supabase
+            .from('paper_reports')
+            .select('*')
+            .eq('paper_id', paperId)
+            .eq('reporter_id', reporterId)
+            .eq('status', 'open')
+            .maybeSingle());
+    }
+
+    // One open report per reporter and paper (paper_reports_open_idx), so rows = distinct reporters
+    async countOpenForPaper(paperId) {
+        const { count, error } = await this.supabase
+            .from('paper_reports')
+            .select('*', { count: 'exact', head: true })
+            .eq('paper_id', paperId)
+            .eq('status', 'open');
+        if (error) throw error;
+        return count || 0;
+    }
+
+    // Open reports with the reporter's name, oldest first
+    async listOpen() {
+        return unwrap(await this.supabase
+            .from('paper_reports')
+            .select('*, reporter:users!paper_reports_reporter_id_fkey (first_name, last_name)')
+            .eq('status', 'open')
+            .order('created_at', { ascending: true }));
+    }
+
+    // Close every open report on a paper as 'resolved' or 'dismissed'; returns how many were closed
+    async closeAllForPaper(paperId, { status, resolvedBy }) {
+        const rows = unwrap(await this.supabase
+            .from('paper_reports')
+            .update({ status, resolved_by: resolvedBy, resolved_at: new Date().toISOString() })
+            .eq('paper_id', paperId)
+            .eq('status', 'open')
+            .select('id'));
+        return rows.length;
+    }
+}
+
+module.exports = ReportRepo;
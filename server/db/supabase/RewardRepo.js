@@ -0,0 +1,72 @@
+const unwrap = require('./unwrap');
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+class RewardRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    // Returns null if the user already has a request that is not rejected
+    async create(request) {
+        const { data, error } = await this.supabase
+            .from('reward_requests')
+            .insert([request])
+            .select()
+            .single();
+        if (error && error.code === UNIQUE_VIOLATION) return null;
+        if (error) throw error;
+        return data;
+    }
+
+    async findById(id) {
+        return unwrap(await this.supabase
+            .from('reward_requests')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    // The user's pending, approved or paid request, if any
+    async findActiveForUser(userId) {
+        return unwrap(await this.supabase
+            .from('reward_requests')
+            .select('*')
+            .eq('user_id', userId)
+            .neq('status', 'rejected')
+            .maybeSingle());
+    }
+
+    // A user's requests, newest first
+    async listForUser(userId) {
+        return unwrap(await this.supabase
+            .from('reward_requests')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false }));
+    }
+
+    // Requests in a status with the requester's name and email, oldest first.
+    // reward_requests has two foreign keys to users (user_id, reviewed_by), so the embed names the one to follow.
+    async listByStatus(status) {
+        return unwrap(await this.supabase
+            .from('reward_requests')
+            .select('*, user:users!reward_requests_user_id_fkey (first_name, last_name, email)')
+            .eq('status', status)
+            .order('created_at', { ascending: true }));
+    }
+
+    // Update a request only if it is still in one of `fromStatuses`; null if it is not
+    async transitionStatus(id, fromStatuses, fields) {
+        const rows = unwrap(await this.supabase
+            .from('reward_requests')
+            .update(fields)
+            .eq('id', id)
+            .in('status', fromStatuses)
+            .select());
+        return rows[0] || null;
+    }
+}
+
+module.exports = RewardRepo;
@@ -0,0 +1,53 @@
+const unwrap = require('./unwrap');
+
+class SessionRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async create(session) {
+        return unwrap(await this.supabase
+            .from('sessions')
+            .insert([session])
+            .select()
+            .single());
+    }
+
+    async findById(id) {
+        return unwrap(await this.supabase
+            .from('sessions')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    async update(id, fields) {
+        return unwrap(await this.supabase
+            .from('sessions')
+            .update(fields)
+            .eq('id', id)
+            .select()
+            .maybeSingle());
+    }
+
+    // Sessions that are neither revoked nor expired, most recently used first
+    async listActiveForUser(userId) {
+        return unwrap(await this.supabase
+            .from('sessions')
+            .select('*')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false, nullsFirst: false }));
+    }
+
+    async revokeAllForUser(userId) {
+        unwrap(await this.supabase
+            .from('sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('revoked_at', null));
+    }
+}
+
+module.exports = SessionRepo;
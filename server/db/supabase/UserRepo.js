@@ -0,0 +1,52 @@
+const unwrap = require('./unwrap');
+
+class UserRepo {
+    constructor(supabase) {
+        this.supabase = supabase;
+    }
+
+    async findById(id) {
+        return unwrap(await this.supabase
+            .from('users')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    }
+
+    async findByEmail(email) {
+        return unwrap(await this.supabase
+            .from('users')
+            .select('*')
+            .eq('email', email)
+            .maybeSingle());
+    }
+
+    async create(user) {
+        return unwrap(await this.supabase
+            .from('users')
+            .insert([user])
+            .select()
+            .single());
+    }
+
+    async update(id, fields) {
+        return unwrap(await this.supabase
+            .from('users')
+            .update(fields)
+            .eq('id', id)
+            .select()
+            .maybeSingle());
+    }
+
+    // A page of { id } of every user, oldest account first (for maintenance scripts)
+    async listIds({ limit = 1000, offset = 0 } = {}) {
+        return unwrap(await this.supabase
+            .from('users')
+            .select('id')
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1));
+    }
+}
+
+module.exports = UserRepo;
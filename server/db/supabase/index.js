@@ -0,0 +1,28 @@
+const supabase = require('../../supabaseClient');
+const UserRepo = require('./UserRepo');
+const PaperRepo = require('./PaperRepo');
+const PaperVersionRepo = require('./PaperVersionRepo');
+const OtpRepo = require('./OtpRepo');
+const LikeRepo = require('./LikeRepo');
+const DownloadRepo = require('./DownloadRepo');
+const SessionRepo = require('./SessionRepo');
+const ReportRepo = require('./ReportRepo');
+const CourseRepo = require('./CourseRepo');
+const PointsRepo = require('./PointsRepo');
+const BadgeRepo = require('./BadgeRepo');
+const RewardRepo = require('./RewardRepo');
+
+module.exports = {
+    users: new UserRepo(supabase),
+    papers: new PaperRepo(supabase),
+    paperVersions: new PaperVersionRepo(supabase),
+    otps: new OtpRepo(supabase),
+    likes: new LikeRepo(supabase),
+    downloads: new DownloadRepo(supabase),
+    sessions: new SessionRepo(supabase),
+    reports: new ReportRepo(supabase),
+    courses: new CourseRepo(supabase),
+    points: new PointsRepo(supabase),
+    badges: new BadgeRepo(supabase),
+    rewards: new RewardRepo(supabase)
+};
@@ -0,0 +1,7 @@
+// supabase-js resolves with { data, error } instead of throwing; turn that into a throw
+function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+module.exports = unwrap;
@@ -1,7 +1,9 @@
 -- Run this in the Supabase SQL Editor
+-- Safe to re-run after pulling changes: every statement only adds what is missing.
+-- The SQLite driver (DB_DRIVER=sqlite) builds its database from this same file.
 
 -- Create Users Table
-create table users (
+create table if not exists users (
   id uuid default gen_random_uuid() primary key,
   first_name text not null,
   last_name text not null,
@@ -15,7 +17,7 @@ create table users (
 );
 
 -- Create Papers Table
-create table papers (
+create table if not exists papers (
   id uuid default gen_random_uuid() primary key,
   subject text not null,
   course_code text not null,
@@ -27,7 +29,534 @@ create table papers (
   created_at timestamp with time zone default timezone('utc'::text, now())
 );
 
+-- Create OTP Codes Table (password reset)
+create table if not exists otp_codes (
+  id uuid default gen_random_uuid() primary key,
+  email text not null,
+  otp text not null,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
 -- Storage Instructions:
 -- 1. Go to Storage in Supabase Dashboard.
 -- 2. Create a new bucket named 'papers'.
 -- 3. Set the bucket to Public.
+
+-- Key of the file in storage (Supabase bucket or local uploads folder)
+alter table papers add column if not exists file_key text;
+
+-- Create Paper Likes Table (one row per user per liked paper)
+create table if not exists paper_likes (
+  user_id uuid references users(id) on delete cascade not null,
+  paper_id uuid references papers(id) on delete cascade not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  primary key (user_id, paper_id)
+);
+
+create index if not exists paper_likes_paper_id_idx on paper_likes (paper_id);
+
+-- Create Paper Downloads Table (one row per download; user_id is null for guests)
+create table if not exists paper_downloads (
+  id uuid default gen_random_uuid() primary key,
+  paper_id uuid references papers(id) on delete cascade not null,
+  user_id uuid references users(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+create index if not exists paper_downloads_paper_id_idx on paper_downloads (paper_id);
+create index if not exists paper_downloads_user_id_idx on paper_downloads (user_id, created_at);
+
+-- Profile fields: short bio, and the storage key of the avatar so it can be replaced
+alter table users add column if not exists bio text default '';
+alter table users add column if not exists profile_pic_key text;
+
+-- Password reset OTPs: `otp` now holds a bcrypt hash of the code, never the code itself.
+-- A code is valid until expires_at, for a limited number of attempts, and only once (used_at).
+alter table otp_codes add column if not exists expires_at timestamp with time zone;
+alter table otp_codes add column if not exists attempts int default 0;
+alter table otp_codes add column if not exists used_at timestamp with time zone;
+
+create index if not exists otp_codes_email_idx on otp_codes (email, created_at);
+
+-- Create Sessions Table (one row per logged-in device, holds the current refresh token's hash)
+create table if not exists sessions (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references users(id) on delete cascade not null,
+  refresh_token_hash text not null,
+  user_agent text,
+  ip text,
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  last_used_at timestamp with time zone,
+  expires_at timestamp with time zone not null,
+  revoked_at timestamp with time zone
+);
+
+create index if not exists sessions_user_id_idx on sessions (user_id);
+
+-- Roles: student (default), moderator (reviews uploads), admin (also manages roles)
+alter table users add column if not exists role text default 'student' check (role in ('student', 'moderator', 'admin'));
+
+-- Moderation: new uploads start as 'pending' and only 'approved' papers are searchable.
+-- Papers that existed before moderation default to 'approved'.
+alter table papers add column if not exists status text default 'approved' check (status in ('pending', 'approved', 'rejected'));
+alter table papers add column if not exists rejection_reason text;
+alter table papers add column if not exists reviewed_by uuid references users(id);
+alter table papers add column if not exists reviewed_at timestamp with time zone;
+
+create index if not exists papers_status_idx on papers (status, created_at);
+create index if not exists papers_uploader_id_idx on papers (uploader_id);
+
+-- Reports: users flag wrong, blurry, duplicate or inappropriate papers for moderators.
+-- A user can have one open report per paper; closed reports stay as history.
+create table if not exists paper_reports (
+  id uuid default gen_random_uuid() primary key,
+  paper_id uuid references papers(id) on delete cascade not null,
+  reporter_id uuid references users(id) on delete cascade not null,
+  reason text not null check (reason in ('wrong_details', 'blurry', 'duplicate', 'inappropriate', 'other')),
+  note text,
+  status text default 'open' check (status in ('open', 'resolved', 'dismissed')),
+  resolved_by uuid references users(id),
+  resolved_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+create unique index if not exists paper_reports_open_idx on paper_reports (paper_id, reporter_id) where status = 'open';
+create index if not exists paper_reports_status_idx on paper_reports (status, created_at);
+
+-- Hidden papers stay in the database but are left out of search until a moderator restores them.
+-- Set automatically once a paper collects REPORT_HIDE_THRESHOLD open reports.
+alter table papers add column if not exists hidden_at timestamp with time zone;
+
+-- Duplicate detection: SHA-256 of the uploaded bytes, and a 64-bit perceptual hash (hex) for images.
+-- duplicate_of points at an existing paper that looks nearly identical, for moderators to check.
+alter table papers add column if not exists content_hash text;
+alter table papers add column if not exists perceptual_hash text;
+alter table papers add column if not exists duplicate_of uuid references papers(id) on delete set null;
+
+create index if not exists papers_content_hash_idx on papers (content_hash);
+
+-- Card previews: a WebP of page 1 (or of the image) stored next to the paper's file
+alter table papers add column if not exists thumbnail_url text;
+alter table papers add column if not exists thumbnail_key text;
+
+-- Full-text search over paper contents. content_text comes from the PDF's text layer at upload,
+-- or from OCR (npm run index:text); text_source is 'pdf', 'ocr' or 'none', null until indexed.
+-- The SQLite driver indexes the same columns with FTS5 (see db/sqlite/schema.js).
+alter table papers add column if not exists content_text text;
+alter table papers add column if not exists text_source text check (text_source in ('pdf', 'ocr', 'none'));
+
+alter table papers add column if not exists search_vector tsvector generated always as (
+  setweight(to_tsvector('english', coalesce(subject, '') || ' ' || coalesce(course_code, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(exam_name, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(content_text, '')), 'C')
+) stored;
+
+create index if not exists papers_search_idx on papers using gin (search_vector);
+
+-- Exam slot as printed on the paper (e.g. A1, B2+TB2), upper-case. Older papers have none.
+alter table papers add column if not exists slot text;
+
+-- Semester as fields instead of guesses from exam_name: semester_term is Fall, Winter or Summer
+-- and academic_year is like 2023-24 (see utils/examTerm.js). Older papers are filled in from
+-- exam_name by npm run backfill:terms.
+alter table papers add column if not exists semester_term text check (semester_term in ('Fall', 'Winter', 'Summer'));
+alter table papers add column if not exists academic_year text check (academic_year like '____-__');
+
+create index if not exists papers_academic_year_idx on papers (academic_year, semester_term);
+
+create index if not exists papers_public_created_idx on papers (created_at desc, id desc) where status = 'approved' and hidden_at is null;
+
+-- Typo-tolerant search. Course codes are stored without case, spaces or hyphens (see
+-- utils/courseCode.js); this brings older rows in line. Subjects are also matched by trigram
+-- similarity with pg_trgm; the SQLite driver registers the same functions (utils/trigram.js).
+update papers set course_code = upper(replace(replace(course_code, ' ', ''), '-', ''))
+where course_code <> upper(replace(replace(course_code, ' ', ''), '-', ''));
+
+create extension if not exists pg_trgm;
+create index if not exists papers_subject_trgm_idx on papers using gin (subject gin_trgm_ops);
+
+-- Earlier versions of the search functions, before the academic year filter
+drop function if exists filter_papers(text, text, text, text, text, text, uuid);
+drop function if exists search_papers(text, text, text, text, text, text, uuid, text, int, int, timestamp with time zone, uuid);
+drop function if exists paper_facets(text, text, text, text, text, text, uuid);
+drop function if exists suggest_papers(text, text, text, text, text, text, uuid, int);
+
+-- Public papers matching the search text and filters. A null argument matches everything.
+-- Shared by search_papers and paper_facets so both always agree on what matched.
+create or replace function filter_papers(
+  q text default null,
+  f_course_code text default null,
+  f_year text default null,
+  f_category text default null,
+  f_slot text default null,
+  f_semester text default null,
+  f_uploader uuid default null,
+  f_academic_year text default null
+)
+returns setof papers
+language sql stable
+as $$
+  select p.*
+  from papers p
+  where p.status = 'approved'
+    and p.hidden_at is null
+    and (q is null
+         or p.search_vector @@ websearch_to_tsquery('english', q)
+         or p.subject ilike '%' || q || '%'
+         or p.course_code ilike '%' || q || '%'
+         or p.course_code like '%' || nullif(upper(replace(replace(q, ' ', ''), '-', '')), '') || '%'
+         or p.exam_name ilike '%' || q || '%'
+         or word_similarity(q, p.subject) >= 0.5)
+    and (f_course_code is null or p.course_code = f_course_code)
+    and (f_year is null or p.exam_year = f_year)
+    and (f_category is null or p.category = f_category)
+    and (f_slot is null or upper(p.slot) = upper(f_slot))
+    and (f_semester is null or p.semester_term = f_semester)
+    and (f_uploader is null or p.uploader_id = f_uploader)
+    and (f_academic_year is null or p.academic_year = f_academic_year)
+$$;
+
+-- The first version of search_papers only took the search text
+drop function if exists search_papers(text);
+
+-- Public search: one page of matching paper ids in `sort` order (relevance, newest, oldest,
+-- popular, downloads), with a snippet of the matching text. newest/oldest can continue after
+-- the (created_at, id) of the previous page's last paper instead of using an offset.
+-- Matched words are wrapped in chr(2)/chr(3); the API turns those into <mark> tags.
+create or replace function search_papers(
+  q text default null,
+  f_course_code text default null,
+  f_year text default null,
+  f_category text default null,
+  f_slot text default null,
+  f_semester text default null,
+  f_uploader uuid default null,
+  f_academic_year text default null,
+  sort text default 'newest',
+  lim int default 20,
+  off int default 0,
+  after_created_at timestamp with time zone default null,
+  after_id uuid default null
+)
+returns table (id uuid, snippet text)
+language sql stable
+as $$
+  with query as (select websearch_to_tsquery('english', coalesce(q, '')) as tsq),
+  hits as (
+    select p.id, p.created_at, p.subject, p.content_text, p.search_vector,
+           (select count(*) from paper_likes l where l.paper_id = p.id) as like_count,
+           (select count(*) from paper_downloads d where d.paper_id = p.id) as download_count
+    from filter_papers(q, f_course_code, f_year, f_category, f_slot, f_semester, f_uploader, f_academic_year) p
+  )
+  select h.id,
+         case when q is not null and to_tsvector('english', coalesce(h.content_text, '')) @@ query.tsq
+              then ts_headline('english', h.content_text, query.tsq,
+                   'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "')
+         end as snippet
+  from hits h, query
+  where after_id is null
+     or (sort = 'oldest' and (h.created_at, h.id) > (after_created_at, after_id))
+     or (sort <> 'oldest' and (h.created_at, h.id) < (after_created_at, after_id))
+  order by
+    case when sort = 'relevance' then h.search_vector @@ query.tsq end desc nulls last,
+    case when sort = 'relevance' then ts_rank(h.search_vector, query.tsq) end desc nulls last,
+    case when sort = 'relevance' then word_similarity(q, h.subject) end desc nulls last,
+    case when sort = 'relevance' then similarity(q, h.subject) end desc nulls last,
+    case when sort = 'popular' then h.like_count end desc nulls last,
+    case when sort = 'downloads' then h.download_count end desc nulls last,
+    case when sort = 'oldest' then h.created_at end asc,
+    case when sort = 'oldest' then h.id end asc,
+    h.created_at desc,
+    h.id desc
+  limit lim offset off
+$$;
+
+-- Counts for the search page: the number of matches ('total') and, per facet, how many matches
+-- have each value. A facet ignores its own filter, so picking a year still shows the other years.
+create or replace function paper_facets(
+  q text default null,
+  f_course_code text default null,
+  f_year text default null,
+  f_category text default null,
+  f_slot text default null,
+  f_semester text default null,
+  f_uploader uuid default null,
+  f_academic_year text default null
+)
+returns table (facet text, value text, count bigint)
+language sql stable
+as $$
+  select 'total', null, count(*)
+  from filter_papers(q, f_course_code, f_year, f_category, f_slot, f_semester, f_uploader, f_academic_year)
+  union all
+  select 'year', p.exam_year, count(*)
+  from filter_papers(q, f_course_code, null, f_category, f_slot, f_semester, f_uploader, f_academic_year) p
+  group by p.exam_year
+  union all
+  select 'category', p.category, count(*)
+  from filter_papers(q, f_course_code, f_year, null, f_slot, f_semester, f_uploader, f_academic_year) p
+  group by p.category
+  union all
+  select 'slot', upper(p.slot), count(*)
+  from filter_papers(q, f_course_code, f_year, f_category, null, f_semester, f_uploader, f_academic_year) p
+  where p.slot is not null
+  group by upper(p.slot)
+  union all
+  select 'semester', p.semester_term, count(*)
+  from filter_papers(q, f_course_code, f_year, f_category, f_slot, null, f_uploader, f_academic_year) p
+  where p.semester_term is not null
+  group by p.semester_term
+  union all
+  select 'academicYear', p.academic_year, count(*)
+  from filter_papers(q, f_course_code, f_year, f_category, f_slot, f_semester, f_uploader, null) p
+  where p.academic_year is not null
+  group by p.academic_year
+$$;
+
+-- "Did you mean" for searches without results: subjects and course codes of public papers
+-- (within the same filters) that look like the search text, closest first
+create or replace function suggest_papers(
+  q text,
+  f_course_code text default null,
+  f_year text default null,
+  f_category text default null,
+  f_slot text default null,
+  f_semester text default null,
+  f_uploader uuid default null,
+  f_academic_year text default null,
+  lim int default 3
+)
+returns table (suggestion text)
+language sql stable
+as $$
+  select s.suggestion
+  from (
+    select p.subject as suggestion, word_similarity(q, p.subject) as score
+    from filter_papers(null, f_course_code, f_year, f_category, f_slot, f_semester, f_uploader, f_academic_year) p
+    union all
+    select p.course_code, similarity(upper(replace(replace(q, ' ', ''), '-', '')), p.course_code)
+    from filter_papers(null, f_course_code, f_year, f_category, f_slot, f_semester, f_uploader, f_academic_year) p
+  ) s
+  where s.score >= 0.25
+  group by s.suggestion
+  order by max(s.score) desc, s.suggestion
+  limit lim
+$$;
+
+-- Course catalog, so papers link to one course instead of free-text subject/code spellings.
+-- code is normalized like papers.course_code. Uploads pick a course or create one for a new
+-- code; moderators fix names and merge duplicates, and papers copy the course's code and name.
+create table if not exists courses (
+  id uuid default gen_random_uuid() primary key,
+  code text not null unique,
+  name text not null,
+  school text,
+  credits int check (credits between 0 and 40),
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table papers add column if not exists course_id uuid references courses(id);
+
+create index if not exists papers_course_id_idx on papers (course_id);
+
+-- Papers from before the catalog: one course per course code, named after one of its subjects
+insert into courses (code, name)
+select p.course_code, min(p.subject)
+from papers p
+where p.course_id is null
+group by p.course_code
+on conflict (code) do nothing;
+
+update papers set course_id = (select c.id from courses c where c.code = papers.course_code)
+where course_id is null;
+
+-- Points ledger: every change to a user's points is one row that is never edited. Totals, levels
+-- and upload counts are computed from it; users.points only caches the total for paper cards.
+-- ref_id is what an entry is about (the approved paper for 'upload_approved'), and the same
+-- reason and reference is only ever recorded once per user.
+create table if not exists points_events (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references users(id) on delete cascade not null,
+  amount int not null,
+  reason text not null,
+  ref_id uuid,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+create index if not exists points_events_user_idx on points_events (user_id, created_at);
+create unique index if not exists points_events_ref_idx on points_events (user_id, reason, ref_id);
+
+-- Points from before the ledger: an entry per approved paper, and the rest of each user's
+-- points as one opening balance, dated when they were earned so leaderboard periods are right
+insert into points_events (user_id, amount, reason, ref_id, created_at)
+select p.uploader_id, 50, 'upload_approved', p.id, coalesce(p.reviewed_at, p.created_at)
+from papers p
+where p.status = 'approved'
+on conflict (user_id, reason, ref_id) do nothing;
+
+insert into points_events (user_id, amount, reason, created_at)
+select u.id, coalesce(u.points, 0) - coalesce((select sum(e.amount) from points_events e where e.user_id = u.id), 0), 'opening_balance', u.created_at
+from users u
+where not exists (select 1 from points_events e where e.user_id = u.id and e.reason = 'opening_balance')
+  and coalesce(u.points, 0) > coalesce((select sum(e.amount) from points_events e where e.user_id = u.id), 0);
+
+update users set points = (select coalesce(sum(e.amount), 0) from points_events e where e.user_id = users.id)
+where coalesce(points, 0) <> (select coalesce(sum(e.amount), 0) from points_events e where e.user_id = users.id);
+
+-- Records an entry and refreshes the cached total in one transaction. Returns no row when the
+-- entry was already recorded.
+create or replace function record_points_event(p_user_id uuid, p_amount int, p_reason text, p_ref_id uuid default null)
+returns setof points_events
+language sql
+as $$
+  with inserted as (
+    insert into points_events (user_id, amount, reason, ref_id)
+    values (p_user_id, p_amount, p_reason, p_ref_id)
+    on conflict (user_id, reason, ref_id) do nothing
+    returning *
+  ),
+  cached as (
+    update users
+    set points = (select coalesce(sum(e.amount), 0) from points_events e where e.user_id = p_user_id)
+               + (select coalesce(sum(i.amount), 0) from inserted i)
+    where id = p_user_id
+  )
+  select * from inserted
+$$;
+
+-- A user's total points and number of approved uploads, from the ledger. Deleting an approved
+-- paper adds an upload_removed entry, which takes the upload back out of the count.
+create or replace function points_summary(p_user_id uuid)
+returns table (points bigint, uploads bigint)
+language sql stable
+as $$
+  select coalesce(sum(amount), 0),
+         count(*) filter (where reason = 'upload_approved') - count(*) filter (where reason = 'upload_removed')
+  from points_events
+  where user_id = p_user_id
+$$;
+
+-- Leaderboard: users ranked by the points they earned since `since` (all time when null), and
+-- with f_course_code only points for approved uploads of that course. Returns the top `lim`
+-- places plus p_user_id's own place wherever it is. Ties share a place.
+create or replace function points_leaderboard(
+  since timestamp with time zone default null,
+  f_course_code text default null,
+  lim int default 50,
+  p_user_id uuid default null
+)
+returns table (user_id uuid, first_name text, last_name text, profile_pic text, total_points int, points bigint, uploads bigint, place bigint)
+language sql stable
+as $$
+  with earned as (
+    select e.user_id,
+           sum(e.amount) as points,
+           count(*) filter (where e.reason = 'upload_approved')
+             - count(*) filter (where e.reason = 'upload_removed') as uploads
+    from points_events e
+    left join papers p on p.id = e.ref_id and e.reason = 'upload_approved'
+    where (since is null or e.created_at >= since)
+      and (f_course_code is null or p.course_code = f_course_code)
+    group by e.user_id
+    having sum(e.amount) > 0
+  ),
+  ranked as (
+    select u.id as user_id, u.first_name, u.last_name, u.profile_pic, u.points as total_points,
+           t.points, t.uploads,
+           rank() over (order by t.points desc, t.uploads desc) as place
+    from earned t
+    join users u on u.id = t.user_id
+  )
+  select * from ranked r
+  where r.place <= lim or r.user_id = p_user_id
+  order by r.place, r.first_name, r.last_name
+$$;
+
+-- Badges a user has earned, by the badge ids in server/utils/badges.js. A badge is earned once.
+create table if not exists user_badges (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references users(id) on delete cascade not null,
+  badge text not null,
+  earned_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (user_id, badge)
+);
+
+-- What the badge rules look at: approved uploads, approved FAT papers, courses with approved
+-- papers in all three categories (CAT1, CAT2, FAT), and downloads of the user's papers by other
+-- logged-in users. Guest downloads are anonymous and unthrottled, and each user counts once per
+-- paper, so repeated requests cannot earn a download badge.
+create or replace function badge_stats(p_user_id uuid)
+returns table (uploads bigint, fat_uploads bigint, complete_courses bigint, downloads_received bigint)
+language sql stable
+as $$
+  select
+    (select count(*) from papers p where p.uploader_id = p_user_id and p.status = 'approved'),
+    (select count(*) from papers p where p.uploader_id = p_user_id and p.status = 'approved' and p.category = 'FAT'),
+    (select count(*) from (
+      select p.course_code from papers p
+      where p.uploader_id = p_user_id and p.status = 'approved'
+      group by p.course_code
+      having count(distinct p.category) = 3
+    ) c),
+    (select count(*) from (
+      select distinct d.paper_id, d.user_id from paper_downloads d
+      join papers p on p.id = d.paper_id
+      where p.uploader_id = p_user_id and d.user_id <> p_user_id
+    ) r)
+$$;
+
+-- Prize money requests. Users who reached the reward level (server/utils/levels.js) file one
+-- with where to pay it; admins approve it, mark it paid, or reject it with a reason. A user has
+-- at most one request that is not rejected, so the prize is only paid once.
+create table if not exists reward_requests (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references users(id) on delete cascade not null,
+  points int not null,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'paid', 'rejected')),
+  payout_method text not null check (payout_method in ('upi', 'bank')),
+  upi_id text,
+  account_name text,
+  account_number text,
+  ifsc text,
+  rejection_reason text,
+  reviewed_by uuid references users(id),
+  reviewed_at timestamp with time zone,
+  paid_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+create unique index if not exists reward_requests_active_idx on reward_requests (user_id) where status <> 'rejected';
+create index if not exists reward_requests_status_idx on reward_requests (status, created_at);
+
+-- Every file a paper has had. The papers row holds the current version's file, so search and
+-- links always use it; a new scan adds a version, and moderators can roll back to an older one.
+-- Likes, downloads and reports stay on the paper.
+alter table papers add column if not exists version int not null default 1;
+
+create table if not exists paper_versions (
+  id uuid default gen_random_uuid() primary key,
+  paper_id uuid references papers(id) on delete cascade not null,
+  version int not null,
+  file_path text not null,
+  file_key text,
+  thumbnail_url text,
+  thumbnail_key text,
+  content_hash text,
+  perceptual_hash text,
+  content_text text,
+  text_source text,
+  uploaded_by uuid references users(id) on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (paper_id, version)
+);
+
+create index if not exists paper_versions_hash_idx on paper_versions (content_hash);
+
+-- Papers from before versions get their file as version 1
+insert into paper_versions (paper_id, version, file_path, file_key, thumbnail_url, thumbnail_key,
+                            content_hash, perceptual_hash, content_text, text_source, uploaded_by, created_at)
+select p.id, 1, p.file_path, p.file_key, p.thumbnail_url, p.thumbnail_key,
+       p.content_hash, p.perceptual_hash, p.content_text, p.text_source, p.uploader_id, p.created_at
+from papers p
+where not exists (select 1 from paper_versions v where v.paper_id = p.id)
+on conflict (paper_id, version) do nothing;
@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+const { isSessionLive } = require('../services/sessions');
+
+// Access tokens carry no `purpose`; purpose-bound tokens (e.g. password reset) are not logins
+function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+    if (decoded.purpose) throw new Error('Not an access token');
+    return decoded;
+}
+
+// The token's user as { ...user, sid }, or null if the token is bad or its session has ended
+// (a device logged out elsewhere loses access at once, not when its token expires).
+// Database errors are thrown rather than treated as a bad token.
+async function userFromToken(token) {
+    let decoded;
+    try {
+        decoded = verifyAccessToken(token);
+    } catch (e) {
+        return null;
+    }
+    if (!await isSessionLive(decoded.sid)) return null;
+    return { ...decoded.user, sid: decoded.sid };
+}
+
+// Requires a valid x-auth-token and puts the token's user on req.user
+// (req.user.sid is the session the token was issued for).
+// Expired tokens and ended sessions get a 401 so the client knows to refresh.
+const auth = async (req, res, next) => {
+    const token = req.header('x-auth-token');
+    if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
+    try {
+        const user = await userFromToken(token);
+        if (!user) return res.status(401).json({ msg: 'Token is not valid' });
+        req.user = user;
+    } catch (err) {
+        console.error(err.message);
+        return res.status(500).send('Server error');
+    }
+    next();
+};
+
+// Like auth, but lets guests through (req.user stays undefined without a valid token)
+auth.optional = async (req, res, next) => {
+    const token = req.header('x-auth-token');
+    if (!token) return next();
+    try {
+        // Treat a bad token like no token
+        req.user = await userFromToken(token) || undefined;
+    } catch (err) {
+        console.error(err.message);
+        return res.status(500).send('Server error');
+    }
+    next();
+};
+
+module.exports = auth;
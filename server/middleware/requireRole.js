@@ -0,0 +1,19 @@
+const db = require('../db');
+
+// Use after auth. The role is read from the database on every request, so promotions
+// and demotions apply immediately instead of when the access token expires.
+const requireRole = (...roles) => async (req, res, next) => {
+    try {
+        const user = await db.users.findById(req.user.id);
+        if (!user || !roles.includes(user.role)) {
+            return res.status(403).json({ msg: 'You do not have permission to do that' });
+        }
+        req.user.role = user.role;
+        next();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+module.exports = requireRole;
@@ -1,15 +0,0 @@
-const mongoose = require('mongoose');
-
-const UserSchema = new mongoose.Schema({
-    firstName: { type: String, required: true },
-    lastName: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
-    phone: { type: String, required: true },
-    password: { type: String, required: true },
-    points: { type: Number, default: 0 },
-    level: { type: String, default: 'Silver' }, // Silver, Gold, Diamond, Legendary
-    profilePic: { type: String, default: '' },
-    createdAt: { type: Date, default: Date.now }
-});
-
-module.exports = mongoose.model('User', UserSchema);
@@ -2,25 +2,25 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-
-// Import Supabase client (correct place)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY   // ✅ FULL PERMISSION KEY
-);
-
-module.exports = supabase;
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const db = require('../db');
+const storage = require('../storage');
+const mailer = require('../services/mailer');
+const sessions = require('../services/sessions');
+const auth = require('../middleware/auth');
+const { mapUser } = require('../utils/mappers');
+const { pointsStanding } = require('../services/points');
+const { describeBadges } = require('../utils/badges');
 
 router.post('/signup', async (req, res) => {
     try {
         const { firstName, lastName, email, phone, password } = req.body;
 
         // Check if user exists
-        const { data: existingUser } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', email)
-            .single();
+        const existingUser = await db.users.findByEmail(email);
 
         if (existingUser) return res.status(400).json({ msg: 'User already exists' });
 
@@ -29,29 +29,17 @@ router.post('/signup', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, salt);
 
         // Insert new user
-        const { data: newUser, error } = await supabase
-            .from('users')
-            .insert([
-                {
-                    first_name: firstName,
-                    last_name: lastName,
-                    email,
-                    phone,
-                    password: hashedPassword
-                }
-            ])
-            .select()
-            .single();
-
-        if (error) throw error;
-
-        // Create JWT token
-        const payload = { user: { id: newUser.id } };
-        jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-            if (err) throw err;
-            res.json({ token });
+        const newUser = await db.users.create({
+            first_name: firstName,
+            last_name: lastName,
+            email,
+            phone,
+            password: hashedPassword
         });
 
+        // Short-lived access token plus a refresh token for this device
+        res.json(await sessions.createSession(newUser.id, req));
+
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -62,11 +50,7 @@ router.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        const { data: user } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', email)
-            .single();
+        const user = await db.users.findByEmail(email);
 
         if (!user) return res.status(400).json({ msg: 'Invalid Credentials' });
 
@@ -74,12 +58,8 @@ router.post('/login', async (req, res) => {
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) return res.status(400).json({ msg: 'Invalid Credentials' });
 
-        // Create JWT
-        const payload = { user: { id: user.id } };
-        jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' }, (err, token) => {
-            if (err) throw err;
-            res.json({ token });
-        });
+        // Short-lived access token plus a refresh token for this device
+        res.json(await sessions.createSession(user.id, req));
 
     } catch (err) {
         console.error(err.message);
@@ -87,24 +67,123 @@ router.post('/login', async (req, res) => {
     }
 });
 
-router.post('/send-otp', async (req, res) => {
+// ================================
+//  SESSIONS (refresh tokens, logged-in devices)
+// ================================
+router.post('/refresh', async (req, res) => {
     try {
-        const { email } = req.body;
+        res.json(await sessions.rotateSession(req.body.refreshToken, req));
+    } catch (err) {
+        if (err instanceof sessions.SessionError) return res.status(401).json({ msg: err.message });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        // 6-digit OTP
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
+// Log out this device. Works with an expired access token, the refresh token is the proof.
+router.post('/logout', async (req, res) => {
+    try {
+        await sessions.revokeByRefreshToken(req.body.refreshToken);
+        res.json({ msg: 'Logged out' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        const { error } = await supabase
-            .from('otp_codes')
-            .insert({ email, otp });
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const active = await db.sessions.listActiveForUser(req.user.id);
+
+        res.json(active.map(s => ({
+            id: s.id,
+            userAgent: s.user_agent,
+            ip: s.ip,
+            createdAt: s.created_at,
+            lastUsedAt: s.last_used_at,
+            current: s.id === req.user.sid
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        if (error) {
-            console.error(error);
+// Log out everywhere (this device included)
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        await db.sessions.revokeAllForUser(req.user.id);
+        res.json({ msg: 'Logged out of all devices' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const session = await db.sessions.findById(req.params.id);
+        if (!session || session.user_id !== req.user.id) return res.status(404).json({ msg: 'Session not found' });
+
+        await db.sessions.update(session.id, { revoked_at: new Date().toISOString() });
+        res.json({ msg: 'Session revoked' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+
+// ================================
+//  FORGOT PASSWORD (email OTP -> reset token -> new password)
+// ================================
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_SECONDS = 60;
+const RESET_TOKEN_TTL = '15m';
+
+// Ties a reset token to the password it is meant to replace, so it stops working once used
+const passwordFingerprint = user => crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+
+const cleanEmail = email => String(email || '').trim();
+
+router.post('/forgot-password', async (req, res) => {
+    // Same answer whether or not the email is registered
+    const genericResponse = { msg: "If that email is registered, an OTP has been sent to it" };
+
+    try {
+        const email = cleanEmail(req.body.email);
+        if (!email) return res.status(400).json({ msg: "Email is required" });
+
+        const user = await db.users.findByEmail(email);
+        if (!user) return res.json(genericResponse);
+
+        // Don't send another code while a fresh one is still on its way
+        const active = await db.otps.findActive(email);
+        if (active && Date.now() - new Date(active.created_at).getTime() < OTP_RESEND_SECONDS * 1000) {
+            return res.json(genericResponse);
+        }
+
+        // 6-digit OTP, only its hash is stored
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        const otpHash = await bcrypt.hash(otp, 10);
+
+        await db.otps.invalidateAll(email);
+        await db.otps.create({
+            email,
+            otp: otpHash,
+            expires_at: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+            attempts: 0
+        });
+
+        try {
+            await mailer.sendPasswordResetOtp(user.email, otp, OTP_TTL_MINUTES);
+        } catch (mailError) {
+            console.error('Mail Error:', mailError.message);
             return res.status(500).json({ msg: "Failed to send OTP" });
         }
 
-        // NOTE: In production REMOVE otp from response
-        res.json({ msg: "OTP sent successfully", otp });
+        res.json(genericResponse);
 
     } catch (err) {
         console.error(err.message);
@@ -112,22 +191,39 @@ router.post('/send-otp', async (req, res) => {
     }
 });
 
+// Exchanges a valid OTP for a short-lived reset token
 router.post('/verify-otp', async (req, res) => {
     try {
-        const { email, otp } = req.body;
+        const email = cleanEmail(req.body.email);
+        const otp = String(req.body.otp || '').trim();
 
-        const { data } = await supabase
-            .from('otp_codes')
-            .select('*')
-            .eq('email', email)
-            .eq('otp', otp)
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
+        const record = await db.otps.findActive(email);
+        if (!record) return res.status(400).json({ msg: "Invalid or expired OTP" });
 
-        if (!data) return res.status(400).json({ msg: "Invalid OTP" });
+        if (record.attempts >= OTP_MAX_ATTEMPTS) {
+            return res.status(429).json({ msg: "Too many attempts. Please request a new OTP" });
+        }
+
+        // Count the attempt before checking it
+        const counted = await db.otps.incrementAttempts(record);
+        if (!counted) return res.status(429).json({ msg: "Please try again" });
+
+        const isMatch = await bcrypt.compare(otp, record.otp);
+        if (!isMatch) {
+            const attemptsLeft = OTP_MAX_ATTEMPTS - record.attempts - 1;
+            return res.status(400).json({ msg: attemptsLeft > 0 ? `Invalid OTP. ${attemptsLeft} attempt(s) left` : "Invalid OTP. Please request a new one", attemptsLeft });
+        }
 
-        res.json({ msg: "OTP verified" });
+        // One use only
+        await db.otps.markUsed(record.id);
+
+        const user = await db.users.findByEmail(email);
+        if (!user) return res.status(400).json({ msg: "Invalid or expired OTP" });
+
+        const payload = { purpose: 'password-reset', user: { id: user.id }, pwd: passwordFingerprint(user) };
+        const resetToken = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: RESET_TOKEN_TTL });
+
+        res.json({ msg: "OTP verified", resetToken });
 
     } catch (err) {
         console.error(err.message);
@@ -141,16 +237,33 @@ router.post('/verify-otp', async (req, res) => {
 // ================================
 router.post('/reset-password', async (req, res) => {
     try {
-        const { email, newPassword } = req.body;
+        const { resetToken, newPassword } = req.body;
 
-        const hashed = await bcrypt.hash(newPassword, 10);
+        if (!resetToken) return res.status(401).json({ msg: "Reset token is required" });
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ msg: "Password must be at least 6 characters" });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(resetToken, process.env.JWT_SECRET);
+        } catch (e) {
+            return res.status(401).json({ msg: "Reset link has expired. Please start again" });
+        }
+        if (decoded.purpose !== 'password-reset') return res.status(401).json({ msg: "Invalid reset token" });
 
-        const { error } = await supabase
-            .from('users')
-            .update({ password: hashed })
-            .eq('email', email);
+        const user = await db.users.findById(decoded.user.id);
+        if (!user || passwordFingerprint(user) !== decoded.pwd) {
+            return res.status(401).json({ msg: "Reset token has already been used" });
+        }
 
-        if (error) {
+        const hashed = await bcrypt.hash(newPassword, 10);
+
+        try {
+            await db.users.update(user.id, { password: hashed });
+            // Whoever knew the old password gets logged out too
+            await db.sessions.revokeAllForUser(user.id);
+        } catch (error) {
             console.error(error);
             return res.status(500).json({ msg: "Failed to reset password" });
         }
@@ -167,34 +280,117 @@ router.post('/reset-password', async (req, res) => {
 // ================================
 //  GET USER PROFILE
 // ================================
-router.get('/profile', async (req, res) => {
+router.get('/profile', auth, async (req, res) => {
     try {
-        const token = req.header('x-auth-token');
-        if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
+        const user = await db.users.findById(req.user.id);
+
+        if (!user) return res.status(404).json({ msg: "User not found" });
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded.user;
+        res.json(await profileResponse(user));
 
-        const { data: user } = await supabase
-            .from('users')
-            .select('id, first_name, last_name, email, phone, points, level, profile_pic')
-            .eq('id', req.user.id)
-            .single();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+
+// ================================
+//  UPDATE USER PROFILE
+// ================================
+const NAME_PATTERN = /^[\p{L}][\p{L} .'-]*$/u;
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+const MAX_BIO_LENGTH = 300;
+
+// Only the fields present in the body are validated and updated
+function validateProfileUpdate(body) {
+    const fields = {};
+    const errors = [];
+
+    for (const [key, column, label] of [['firstName', 'first_name', 'First name'], ['lastName', 'last_name', 'Last name']]) {
+        if (body[key] === undefined) continue;
+        const value = String(body[key]).trim();
+        if (!value) errors.push({ field: key, msg: `${label} cannot be empty` });
+        else if (value.length > 50) errors.push({ field: key, msg: `${label} must be at most 50 characters` });
+        else if (!NAME_PATTERN.test(value)) errors.push({ field: key, msg: `${label} contains invalid characters` });
+        else fields[column] = value;
+    }
+
+    if (body.bio !== undefined) {
+        const bio = String(body.bio).trim();
+        if (bio.length > MAX_BIO_LENGTH) errors.push({ field: 'bio', msg: `Bio must be at most ${MAX_BIO_LENGTH} characters` });
+        else fields.bio = bio;
+    }
+
+    if (body.phone !== undefined) {
+        const phone = String(body.phone).replace(/[\s-]/g, '');
+        if (!PHONE_PATTERN.test(phone)) errors.push({ field: 'phone', msg: 'Phone number must be 7-15 digits' });
+        else fields.phone = phone;
+    }
+
+    return { fields, errors };
+}
+
+router.put('/profile', auth, async (req, res) => {
+    try {
+        const { fields, errors } = validateProfileUpdate(req.body || {});
 
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+        if (Object.keys(fields).length === 0) return res.status(400).json({ msg: 'Nothing to update' });
+
+        const user = await db.users.update(req.user.id, fields);
+        if (!user) return res.status(404).json({ msg: "User not found" });
+
+        res.json(await profileResponse(user));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+
+// ================================
+//  UPLOAD PROFILE PICTURE
+// ================================
+const AVATAR_SIZE = 256;
+
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+router.post('/upload-pic', [auth, avatarUpload.single('file')], async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ msg: 'No file uploaded' });
+
+        const user = await db.users.findById(req.user.id);
         if (!user) return res.status(404).json({ msg: "User not found" });
 
-        const mapped = {
-            id: user.id,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            email: user.email,
-            phone: user.phone,
-            points: user.points,
-            level: user.level,
-            profilePic: user.profile_pic
-        };
+        // Square crop around the centre, scaled down and re-encoded (also strips EXIF data)
+        let avatar;
+        try {
+            avatar = await sharp(req.file.buffer)
+                .rotate() // respect EXIF orientation from phone cameras
+                .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'centre' })
+                .webp({ quality: 85 })
+                .toBuffer();
+        } catch (e) {
+            return res.status(400).json({ msg: 'File is not a valid image' });
+        }
+
+        const avatarKey = `avatars/${user.id}-${Date.now()}.webp`;
+        await storage.put(avatarKey, avatar, { contentType: 'image/webp' });
+
+        const profilePic = storage.publicUrl(avatarKey);
+        await db.users.update(user.id, { profile_pic: profilePic, profile_pic_key: avatarKey });
 
-        res.json(mapped);
+        // Replace, don't accumulate, old avatars
+        if (user.profile_pic_key) {
+            await storage.delete(user.profile_pic_key).catch(e => console.error('Old avatar cleanup failed:', e.message));
+        }
+
+        res.json({ profilePic });
 
     } catch (err) {
         console.error(err.message);
@@ -202,6 +398,26 @@ router.get('/profile', async (req, res) => {
     }
 });
 
+// Multer rejects oversized avatars before the route runs
+router.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const msg = err.code === 'LIMIT_FILE_SIZE' ? 'Profile picture must be under 5 MB' : err.message;
+        return res.status(400).json({ msg });
+    }
+    next(err);
+});
+
+
+// Profile in the camelCase shape the frontend expects, with live counts and points from the ledger
+async function profileResponse(user) {
+    return {
+        ...mapUser(user),
+        ...await pointsStanding(user.id),
+        badges: describeBadges((await db.badges.listForUser(user.id)).map(row => row.badge)),
+        downloadCount: await db.downloads.countForUser(user.id)
+    };
+}
+
 
 // Export router (IMPORTANT)
 module.exports = router;
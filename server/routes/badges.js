@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { BADGES, describeBadge } = require('../utils/badges');
+
+// Every badge with how to earn it, so the profile can show the ones still to get
+router.get('/', (req, res) => {
+    res.json(BADGES.map(describeBadge));
+});
+
+module.exports = router;
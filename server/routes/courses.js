@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const { mapCourse } = require('../utils/mappers');
+const { normalizeCourseCode } = require('../utils/courseCode');
+
+const MAX_SUGGESTIONS = 25;
+
+// Autocomplete for the search box and the upload form: ?prefix=bcse 2 matches codes starting
+// with BCSE2 and names containing "bcse 2"
+router.get('/', async (req, res) => {
+    try {
+        const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim() : '';
+        if (!prefix) return res.status(400).json({ msg: 'prefix is required' });
+        if (prefix.length > 100) return res.status(400).json({ msg: 'prefix must be at most 100 characters' });
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_SUGGESTIONS);
+        const courses = await db.courses.search({
+            codePrefix: normalizeCourseCode(prefix),
+            namePart: prefix,
+            limit: Math.max(limit, 1)
+        });
+
+        res.json(courses.map(mapCourse));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const auth = require('../middleware/auth');
+const { mapLeaderboardEntry } = require('../utils/mappers');
+const { normalizeCourseCode } = require('../utils/courseCode');
+const { semesterStart } = require('../utils/examTerm');
+
+const PERIODS = ['week', 'semester', 'all'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Start of a leaderboard period, null for all time
+function periodStart(period, now = new Date()) {
+    if (period === 'week') return new Date(now.getTime() - WEEK_MS);
+    if (period === 'semester') return semesterStart(now);
+    return null;
+}
+
+// Ranking by points earned in a period: ?period=week|semester|all (default all), optional
+// ?course= to only count approved uploads of one course, and ?limit= places (up to 100).
+// Logged-in users also get `me`, their own place, even when it is below the limit.
+router.get('/', auth.optional, async (req, res) => {
+    try {
+        const errors = [];
+        const param = key => {
+            const raw = req.query[key];
+            if (raw === undefined) return '';
+            if (typeof raw !== 'string') {
+                errors.push({ field: key, msg: `${key} can only be given once` });
+                return '';
+            }
+            return raw.trim();
+        };
+
+        const period = param('period') || 'all';
+        if (!PERIODS.includes(period)) errors.push({ field: 'period', msg: `Period must be one of: ${PERIODS.join(', ')}` });
+
+        const course = normalizeCourseCode(param('course'));
+        if (course.length > 20) errors.push({ field: 'course', msg: 'Course code must be at most 20 characters' });
+
+        const limitParam = param('limit');
+        const limit = limitParam ? Number(limitParam) : DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push({ field: 'limit', msg: `Limit must be a whole number between 1 and ${MAX_LIMIT}` });
+        }
+
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const since = periodStart(period);
+        const userId = req.user ? req.user.id : null;
+        const rows = await db.points.leaderboard({
+            since: since ? since.toISOString() : null,
+            courseCode: course || null,
+            limit,
+            userId
+        });
+
+        const entries = rows.map(mapLeaderboardEntry);
+        res.json({
+            period,
+            course: course || null,
+            since: since ? since.toISOString() : null,
+            entries: entries.filter(entry => entry.rank <= limit),
+            me: entries.find(entry => entry.user.id === userId) || null
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
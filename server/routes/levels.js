@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+const { levelRules } = require('../utils/levels');
+
+// Level thresholds and points per upload, for the FAQ and level badges in the frontend
+router.get('/', (req, res) => {
+    res.json(levelRules());
+});
+
+module.exports = router;
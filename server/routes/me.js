@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const auth = require('../middleware/auth');
+const { mapPaper } = require('../utils/mappers');
+const { pointsStanding } = require('../services/points');
+const { UUID_PATTERN } = require('../utils/uuid');
+const { isPublicPaper } = require('../services/papers');
+
+// Everything here is about the logged-in user
+router.use(auth);
+
+// Papers the user liked, most recent first
+router.get('/likes', async (req, res) => {
+    try {
+        const paperIds = await db.likes.listPaperIds(req.user.id);
+        const papers = await db.papers.findByIds(paperIds);
+
+        // Keep the like order (findByIds doesn't), leaving out papers hidden or unapproved since
+        const byId = new Map(papers.filter(isPublicPaper).map(p => [p.id, p]));
+        const liked = paperIds.filter(id => byId.has(id)).map(id => mapPaper(byId.get(id)));
+
+        res.json(liked);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Bulk like, used once to move likes kept in the browser's localStorage onto the account
+router.post('/likes', async (req, res) => {
+    try {
+        const { paperIds } = req.body;
+
+        if (!Array.isArray(paperIds) || paperIds.some(id => typeof id !== 'string')) {
+            return res.status(400).json({ msg: 'paperIds must be an array of paper IDs' });
+        }
+
+        // Unknown IDs (e.g. papers deleted since) and papers not everyone can see are skipped,
+        // and so are IDs that are not uuids: the browser's old data can hold anything, and
+        // Postgres errors on them
+        const validIds = paperIds.filter(id => UUID_PATTERN.test(id));
+        await db.likes.likeMany(req.user.id, validIds.slice(0, 500));
+
+        res.json({ paperIds: await db.likes.listPaperIds(req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Own uploads in every status, so the uploader can follow their review
+router.get('/papers', async (req, res) => {
+    try {
+        const papers = await db.papers.listByUploader(req.user.id);
+
+        res.json(papers.map(p => ({
+            ...mapPaper(p),
+            rejectionReason: p.rejection_reason || null,
+            reviewedAt: p.reviewed_at || null,
+            createdAt: p.created_at
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Download history, most recent first
+router.get('/downloads', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const downloads = await db.downloads.listForUser(req.user.id, { limit });
+
+        const paperIds = [...new Set(downloads.map(d => d.paper_id))];
+        const byId = new Map((await db.papers.findByIds(paperIds)).map(p => [p.id, p]));
+
+        // Papers deleted since are dropped from the history
+        const history = downloads
+            .filter(d => byId.has(d.paper_id))
+            .map(d => ({
+                id: d.id,
+                downloadedAt: d.created_at,
+                paper: mapPaper(byId.get(d.paper_id))
+            }));
+
+        res.json(history);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Points standing (total, level, uploads, next level) and the ledger entries behind it, most recent first
+router.get('/points', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const events = await db.points.listForUser(req.user.id, { limit });
+
+        res.json({
+            ...await pointsStanding(req.user.id),
+            events: events.map(e => ({
+                id: e.id,
+                amount: e.amount,
+                reason: e.reason,
+                refId: e.ref_id,
+                createdAt: e.created_at
+            }))
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
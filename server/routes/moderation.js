@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { POINT_REASONS, awardPoints } = require('../services/points');
+const { evaluateBadgesInBackground } = require('../services/badges');
+const { removePaper, restorePaperVersion } = require('../services/papers');
+const { BADGE_EVENTS } = require('../utils/badges');
+const { UPLOAD_POINTS } = require('../utils/levels');
+const { mapPaper, mapReport, mapCourse, mapRewardRequest } = require('../utils/mappers');
+const { normalizeCourseCode } = require('../utils/courseCode');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const ROLES = ['student', 'moderator', 'admin'];
+const REWARD_STATUSES = ['pending', 'approved', 'paid', 'rejected'];
+
+router.use(auth, requireRole('moderator', 'admin'));
+
+// Papers by status, oldest first (defaults to the pending queue)
+router.get('/papers', async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!STATUSES.includes(status)) return res.status(400).json({ msg: `status must be one of: ${STATUSES.join(', ')}` });
+
+        const papers = await db.papers.listByStatus(status);
+
+        // Papers flagged as near-duplicates come with the paper they resemble
+        const originalIds = [...new Set(papers.map(p => p.duplicate_of).filter(Boolean))];
+        const originals = new Map((await db.papers.findByIds(originalIds)).map(p => [p.id, p]));
+
+        res.json(papers.map(p => ({
+            ...mapPaper(p),
+            uploaderId: p.uploader_id,
+            rejectionReason: p.rejection_reason || null,
+            duplicateOf: originals.has(p.duplicate_of) ? mapPaper(originals.get(p.duplicate_of)) : null,
+            createdAt: p.created_at
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.post('/papers/:id/approve', async (req, res) => {
+    try {
+        // Points are only for unique content, so a copy of an approved paper can't be approved
+        const candidate = await db.papers.findById(req.params.id);
+        if (candidate && candidate.content_hash) {
+            const original = await db.papers.findByContentHash(candidate.content_hash);
+            if (original && original.id !== candidate.id && original.status === 'approved') {
+                return res.status(409).json({ msg: 'An identical paper is already approved' });
+            }
+        }
+
+        const paper = await db.papers.transitionStatus(req.params.id, ['pending', 'rejected'], {
+            status: 'approved',
+            rejection_reason: null,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date().toISOString()
+        });
+        if (!paper) return res.status(409).json({ msg: 'Paper not found or already approved' });
+
+        // The ledger records an award per paper once, even if this runs again
+        await awardPoints(paper.uploader_id, UPLOAD_POINTS, POINT_REASONS.uploadApproved, paper.id);
+        evaluateBadgesInBackground(paper.uploader_id, BADGE_EVENTS.uploadApproved);
+
+        res.json(mapPaper(paper));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.post('/papers/:id/reject', async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim();
+        if (reason.length < 3 || reason.length > 300) {
+            return res.status(400).json({ msg: 'Please give a reason (3-300 characters)' });
+        }
+
+        const paper = await db.papers.transitionStatus(req.params.id, ['pending'], {
+            status: 'rejected',
+            rejection_reason: reason,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date().toISOString()
+        });
+        if (!paper) return res.status(409).json({ msg: 'Paper not found or no longer pending' });
+
+        res.json({ ...mapPaper(paper), rejectionReason: paper.rejection_reason });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Reports inbox: open reports grouped by paper, the paper with the oldest report first
+router.get('/reports', async (req, res) => {
+    try {
+        const reports = await db.reports.listOpen();
+        const paperIds = [...new Set(reports.map(r => r.paper_id))];
+        const papers = new Map((await db.papers.findByIds(paperIds)).map(p => [p.id, p]));
+
+        res.json(paperIds.filter(id => papers.has(id)).map(id => ({
+            paper: mapPaper(papers.get(id)),
+            reports: reports.filter(r => r.paper_id === id).map(mapReport)
+        })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Close a paper's open reports and put it back in search if the reports had hidden it.
+// 'resolved' means the problem was fixed, 'dismissed' means there was nothing wrong.
+const closeReports = status => async (req, res) => {
+    try {
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        const closed = await db.reports.closeAllForPaper(paper.id, { status, resolvedBy: req.user.id });
+        const updated = paper.hidden_at ? await db.papers.update(paper.id, { hidden_at: null }) : paper;
+
+        res.json({ paperId: paper.id, closed, hidden: Boolean(updated.hidden_at) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+router.post('/papers/:id/reports/resolve', closeReports('resolved'));
+router.post('/papers/:id/reports/dismiss', closeReports('dismissed'));
+
+// Take a paper out of search without deleting it; its open reports count as resolved
+router.post('/papers/:id/hide', async (req, res) => {
+    try {
+        const paper = await db.papers.update(req.params.id, { hidden_at: new Date().toISOString() });
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        const closed = await db.reports.closeAllForPaper(paper.id, { status: 'resolved', resolvedBy: req.user.id });
+
+        res.json({ paperId: paper.id, closed, hidden: true });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.post('/papers/:id/unhide', async (req, res) => {
+    try {
+        const paper = await db.papers.update(req.params.id, { hidden_at: null });
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        res.json({ paperId: paper.id, hidden: false });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Remove a paper for good, with its files and the points it earned (see services/papers.js)
+router.delete('/papers/:id', async (req, res) => {
+    try {
+        const paper = await removePaper(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        res.json({ paperId: paper.id, removed: true });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Roll a paper back (or forward) to one of its versions; the others stay in the history
+router.post('/papers/:id/versions/:version/restore', async (req, res) => {
+    try {
+        const number = Number(req.params.version);
+        if (!Number.isInteger(number) || number < 1) return res.status(400).json({ msg: 'version must be a positive whole number' });
+
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        const restored = await restorePaperVersion(paper, number);
+        if (!restored) return res.status(404).json({ msg: `This paper has no version ${number}` });
+
+        res.json(mapPaper(await db.papers.findById(paper.id)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Course catalog with paper counts, for tidying names and spotting duplicates
+router.get('/courses', async (req, res) => {
+    try {
+        const courses = await db.courses.listWithPaperCounts();
+        res.json(courses.map(mapCourse));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Fields of a course edit that were sent, plus a list of { field, msg } problems.
+// school and credits can be cleared with null or an empty string.
+function validateCourseFields(body) {
+    const fields = {};
+    const errors = [];
+
+    if (body.code !== undefined) {
+        fields.code = normalizeCourseCode(body.code);
+        if (!fields.code || fields.code.length > 20) errors.push({ field: 'code', msg: 'Course code must be 1-20 characters' });
+    }
+    if (body.name !== undefined) {
+        fields.name = String(body.name || '').trim();
+        if (!fields.name || fields.name.length > 100) errors.push({ field: 'name', msg: 'Name must be 1-100 characters' });
+    }
+    if (body.school !== undefined) {
+        fields.school = String(body.school || '').trim() || null;
+        if (fields.school && fields.school.length > 100) errors.push({ field: 'school', msg: 'School must be at most 100 characters' });
+    }
+    if (body.credits !== undefined) {
+        fields.credits = body.credits === null || body.credits === '' ? null : Number(body.credits);
+        if (fields.credits !== null && (!Number.isInteger(fields.credits) || fields.credits < 0 || fields.credits > 40)) {
+            errors.push({ field: 'credits', msg: 'Credits must be a whole number from 0 to 40' });
+        }
+    }
+
+    return { fields, errors };
+}
+
+// Fix a course's code, name, school or credits; its papers take the new code and name
+router.patch('/courses/:id', async (req, res) => {
+    try {
+        const { fields, errors } = validateCourseFields(req.body);
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const course = await db.courses.findById(req.params.id);
+        if (!course) return res.status(404).json({ msg: 'Course not found' });
+
+        if (fields.code && fields.code !== course.code) {
+            const existing = await db.courses.findByCode(fields.code);
+            if (existing) {
+                return res.status(409).json({ msg: `${fields.code} is already in the catalog, merge the courses instead`, course: mapCourse(existing) });
+            }
+        }
+
+        const updated = await db.courses.update(course.id, fields);
+        await db.courses.syncPapers(course.id);
+
+        res.json(mapCourse(updated));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Merge a duplicate course into another: its papers move over and take the other course's
+// code and name, then the duplicate is deleted
+router.post('/courses/:id/merge', async (req, res) => {
+    try {
+        const { intoId } = req.body;
+        if (!intoId || intoId === req.params.id) return res.status(400).json({ msg: 'Choose another course to merge into' });
+
+        const [source, target] = await Promise.all([db.courses.findById(req.params.id), db.courses.findById(intoId)]);
+        if (!source || !target) return res.status(404).json({ msg: 'Course not found' });
+
+        const moved = await db.courses.merge(source.id, target.id);
+        await db.courses.syncPapers(target.id);
+
+        res.json({ course: mapCourse(target), merged: source.id, papersMoved: moved });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Reward requests by status, oldest first (defaults to pending), with full payout details.
+// Prize money is paid by admins only.
+router.get('/rewards', requireRole('admin'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!REWARD_STATUSES.includes(status)) return res.status(400).json({ msg: `status must be one of: ${REWARD_STATUSES.join(', ')}` });
+
+        const requests = await db.rewards.listByStatus(status);
+        res.json(requests.map(r => mapRewardRequest(r, { revealAccount: true })));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Move a reward request along: pending -> approved -> paid, or to rejected before it is paid
+router.post('/rewards/:id/approve', requireRole('admin'), async (req, res) => {
+    try {
+        const request = await db.rewards.transitionStatus(req.params.id, ['pending'], {
+            status: 'approved',
+            reviewed_by: req.user.id,
+            reviewed_at: new Date().toISOString()
+        });
+        if (!request) return res.status(409).json({ msg: 'Request not found or no longer pending' });
+
+        res.json(mapRewardRequest(request, { revealAccount: true }));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.post('/rewards/:id/paid', requireRole('admin'), async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const request = await db.rewards.transitionStatus(req.params.id, ['approved'], {
+            status: 'paid',
+            reviewed_by: req.user.id,
+            reviewed_at: now,
+            paid_at: now
+        });
+        if (!request) return res.status(409).json({ msg: 'Request not found or not approved' });
+
+        res.json(mapRewardRequest(request, { revealAccount: true }));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+router.post('/rewards/:id/reject', requireRole('admin'), async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim();
+        if (reason.length < 3 || reason.length > 300) {
+            return res.status(400).json({ msg: 'Please give a reason (3-300 characters)' });
+        }
+
+        const request = await db.rewards.transitionStatus(req.params.id, ['pending', 'approved'], {
+            status: 'rejected',
+            rejection_reason: reason,
+            reviewed_by: req.user.id,
+            reviewed_at: new Date().toISOString()
+        });
+        if (!request) return res.status(409).json({ msg: 'Request not found or already paid or rejected' });
+
+        res.json(mapRewardRequest(request, { revealAccount: true }));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Admins promote and demote users
+router.patch('/users/:id/role', requireRole('admin'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!ROLES.includes(role)) return res.status(400).json({ msg: `role must be one of: ${ROLES.join(', ')}` });
+        if (req.params.id === req.user.id) return res.status(400).json({ msg: 'You cannot change your own role' });
+
+        const user = await db.users.update(req.params.id, { role });
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+
+        res.json({ id: user.id, role: user.role });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -1,114 +1,459 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const jwt = require('jsonwebtoken');
-const { createClient } = require("@supabase/supabase-js");
+const crypto = require('crypto');
+const db = require('../db');
+const storage = require('../storage');
+const auth = require('../middleware/auth');
+const { mapPaper, mapPaperVersion } = require('../utils/mappers');
+const { normalizeCourseCode } = require('../utils/courseCode');
+const { UUID_PATTERN } = require('../utils/uuid');
+const { SEMESTER_TERMS, academicYearFor, isAcademicYear, parseExamName } = require('../utils/examTerm');
+const fingerprint = require('../utils/fingerprint');
+const { createThumbnail, thumbnailKeyFor } = require('../utils/thumbnail');
+const { extractPdfText } = require('../utils/paperText');
+const { BADGE_EVENTS } = require('../utils/badges');
+const { evaluateBadgesInBackground } = require('../services/badges');
+const { findPublicPaper, removePaper, recordFirstVersion, addPaperVersion } = require('../services/papers');
+const {
+    MAX_UPLOAD_MB, MAX_UPLOAD_BYTES, MAX_PDF_PAGES, MAX_UPLOAD_TOTAL_MB, MAX_UPLOAD_TOTAL_BYTES, inspectPaperFile, imagesToPdf
+} = require('../utils/paperFile');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY   // ✅ FULL PERMISSION KEY
-);
+// Multer Config - Keep the file in memory, the storage driver writes it out.
+// A paper is either one `file` (PDF or image) or several `pages` photos that get merged into a PDF.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_PDF_PAGES }
+});
+
+// Multer only limits each file, so the request as a whole is checked by its declared size before
+// anything is read. Browsers always send Content-Length with a form; a chunked body has none.
+function checkUploadSize(req, res, next) {
+    if (req.headers['transfer-encoding'] && !req.headers['content-length']) {
+        return res.status(411).json({ msg: 'Uploads must be sent with a Content-Length' });
+    }
+    if (Number(req.headers['content-length'] || 0) > MAX_UPLOAD_TOTAL_BYTES) {
+        const msg = `All files together must be under ${MAX_UPLOAD_TOTAL_MB} MB`;
+        return res.status(413).json({ msg, errors: [{ field: 'file', msg }] });
+    }
+    next();
+}
+
+const uploadPaperFiles = [checkUploadSize, upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'pages', maxCount: MAX_PDF_PAGES }
+])];
+const ROTATIONS = [0, 90, 180, 270];
+
+const CATEGORIES = ['CAT1', 'CAT2', 'FAT'];
+
+const REPORT_REASONS = ['wrong_details', 'blurry', 'duplicate', 'inappropriate', 'other'];
+const MAX_REPORT_NOTE_LENGTH = 500;
+// A paper is hidden from search once this many different users have open reports on it
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+const SEARCH_SORTS = ['relevance', 'newest', 'oldest', 'popular', 'downloads'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SLOT_PATTERN = /^[A-Z0-9]+(\+[A-Z0-9]+)*$/;
+// Images whose perceptual hashes differ in at most this many of 64 bits count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// The closest existing image paper within NEAR_DUPLICATE_DISTANCE, or null
+async function findNearDuplicate(hash) {
+    let closest = null;
+    for (const paper of await db.papers.listPerceptualHashes()) {
+        const distance = fingerprint.hammingDistance(hash, paper.perceptual_hash);
+        if (distance <= NEAR_DUPLICATE_DISTANCE && (!closest || distance < closest.distance)) {
+            closest = { id: paper.id, distance };
+        }
+    }
+    return closest ? closest.id : null;
+}
+
+// Trimmed paper details plus a list of { field, msg } problems, in form order
+function validatePaperFields(body) {
+    const fields = {};
+    const errors = [];
+
+    const text = (key, label, maxLength) => {
+        const value = String(body[key] || '').trim();
+        if (!value) errors.push({ field: key, msg: `${label} is required` });
+        else if (value.length > maxLength) errors.push({ field: key, msg: `${label} must be at most ${maxLength} characters` });
+        fields[key] = value;
+    };
+
+    text('subject', 'Subject', 100);
+
+    // Stored without case, spaces or hyphens so every spelling of a code finds the same papers
+    const courseCode = normalizeCourseCode(body.courseCode);
+    if (!courseCode) errors.push({ field: 'courseCode', msg: 'Course code is required' });
+    else if (courseCode.length > 20) errors.push({ field: 'courseCode', msg: 'Course code must be at most 20 characters' });
+    fields.courseCode = courseCode;
+
+    const examYear = String(body.examYear || '').trim();
+    const latestYear = new Date().getFullYear() + 1;
+    if (!/^\d{4}$/.test(examYear) || Number(examYear) < 2000 || Number(examYear) > latestYear) {
+        errors.push({ field: 'examYear', msg: `Exam year must be a year between 2000 and ${latestYear}` });
+    }
+    fields.examYear = examYear;
+
+    // Older clients only send a free-text examName like "Fall 2023", so fall back to reading it
+    const examNameText = String(body.examName || '').trim();
+    const termText = String(body.semesterTerm || '').trim().toLowerCase();
+    const semesterTerm = termText
+        ? SEMESTER_TERMS.find(term => term.toLowerCase() === termText)
+        : parseExamName(examNameText).semesterTerm;
+    if (!semesterTerm) {
+        errors.push({ field: 'semesterTerm', msg: `Semester must be one of: ${SEMESTER_TERMS.join(', ')}` });
+    }
+    fields.semesterTerm = semesterTerm || null;
+
+    // Derived from the term and exam year; if given it has to agree with them
+    const expectedYear = academicYearFor(semesterTerm, examYear);
+    const academicYear = String(body.academicYear || '').trim();
+    if (academicYear && !isAcademicYear(academicYear)) {
+        errors.push({ field: 'academicYear', msg: 'Academic year must look like 2023-24' });
+    } else if (academicYear && expectedYear && academicYear !== expectedYear) {
+        errors.push({ field: 'academicYear', msg: `A ${semesterTerm} ${examYear} exam is in academic year ${expectedYear}` });
+    }
+    fields.academicYear = expectedYear;
+
+    const examName = examNameText || (semesterTerm ? `${semesterTerm} ${examYear}` : '');
+    if (examName.length > 50) errors.push({ field: 'examName', msg: 'Exam name must be at most 50 characters' });
+    fields.examName = examName;
+
+    if (!CATEGORIES.includes(body.category)) {
+        errors.push({ field: 'category', msg: `Category must be one of: ${CATEGORIES.join(', ')}` });
+    }
+    fields.category = body.category;
+
+    // Optional, older clients did not send it
+    const slot = String(body.slot || '').trim().toUpperCase().replace(/\s+/g, '');
+    if (slot && (slot.length > 20 || !SLOT_PATTERN.test(slot))) {
+        errors.push({ field: 'slot', msg: 'Slot must look like A1 or A1+TA1' });
+    }
+    fields.slot = slot || null;
 
-module.exports = supabase;
+    return { fields, errors };
+}
 
+// Uploaders manage their own papers; moderators and admins can manage anyone's
+async function canManagePaper(userId, paper) {
+    if (paper.uploader_id === userId) return true;
+    const user = await db.users.findById(userId);
+    return Boolean(user && (user.role === 'moderator' || user.role === 'admin'));
+}
 
-// Multer Config - Use Memory Storage for Supabase Upload
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Search cursors are the created_at and id of the last paper on a page, as base64url JSON
+function encodeCursor(paper) {
+    return Buffer.from(JSON.stringify([paper.created_at, paper.id])).toString('base64url');
+}
 
-// Middleware to get user ID
-const auth = (req, res, next) => {
-    const token = req.header('x-auth-token');
-    if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
+function decodeCursor(cursor) {
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-        req.user = decoded.user;
-        next();
+        const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof createdAt === 'string' && UUID_PATTERN.test(id)) return { createdAt, id };
     } catch (e) {
-        res.status(400).json({ msg: 'Token is not valid' });
+        // Not JSON, handled below
     }
-};
+    return null;
+}
+
+// Search options for db.papers.search/facetCounts from the query string, plus a list of
+// { field, msg } problems. Values only ever reach the database as bound parameters.
+function parseSearchParams(params) {
+    const errors = [];
+    const filters = {};
+
+    // `?year=2024&year=2023` arrives as an array; every parameter takes a single value
+    const value = key => {
+        const raw = params[key];
+        if (raw === undefined) return '';
+        if (typeof raw !== 'string') {
+            errors.push({ field: key, msg: `${key} can only be given once` });
+            return '';
+        }
+        return raw.trim();
+    };
+    const positiveInt = (key, label, fallback, max = Infinity) => {
+        const raw = value(key);
+        if (!raw) return fallback;
+        const number = Number(raw);
+        if (!Number.isSafeInteger(number) || number < 1 || number > max) {
+            const range = max === Infinity ? 'at least 1' : `between 1 and ${max}`;
+            errors.push({ field: key, msg: `${label} must be a whole number ${range}` });
+            return fallback;
+        }
+        return number;
+    };
+
+    const query = value('query');
+    if (query.length > 200) errors.push({ field: 'query', msg: 'Search text must be at most 200 characters' });
+
+    const courseCode = normalizeCourseCode(value('courseCode'));
+    if (courseCode.length > 20) errors.push({ field: 'courseCode', msg: 'Course code must be at most 20 characters' });
+    else if (courseCode) filters.courseCode = courseCode;
+
+    const year = value('year');
+    if (year && !/^\d{4}$/.test(year)) errors.push({ field: 'year', msg: 'Year must be four digits' });
+    else if (year) filters.year = year;
+
+    const category = value('category');
+    if (category && !CATEGORIES.includes(category)) {
+        errors.push({ field: 'category', msg: `Category must be one of: ${CATEGORIES.join(', ')}` });
+    } else if (category) filters.category = category;
+
+    const slot = value('slot').toUpperCase();
+    if (slot && (slot.length > 20 || !SLOT_PATTERN.test(slot))) errors.push({ field: 'slot', msg: 'Slot must look like A1 or A1+TA1' });
+    else if (slot) filters.slot = slot;
+
+    const semesterParam = value('semester');
+    const semester = SEMESTER_TERMS.find(s => s.toLowerCase() === semesterParam.toLowerCase());
+    if (semesterParam && !semester) errors.push({ field: 'semester', msg: `Semester must be one of: ${SEMESTER_TERMS.join(', ')}` });
+    else if (semester) filters.semester = semester;
+
+    const academicYear = value('academicYear');
+    if (academicYear && !isAcademicYear(academicYear)) errors.push({ field: 'academicYear', msg: 'Academic year must look like 2023-24' });
+    else if (academicYear) filters.academicYear = academicYear;
+
+    const uploader = value('uploader');
+    if (uploader && !UUID_PATTERN.test(uploader)) errors.push({ field: 'uploader', msg: 'Uploader must be a user id' });
+    else if (uploader) filters.uploader = uploader;
+
+    // Relevance needs something to be relevant to
+    let sort = value('sort') || (query ? 'relevance' : 'newest');
+    if (!SEARCH_SORTS.includes(sort)) {
+        errors.push({ field: 'sort', msg: `Sort must be one of: ${SEARCH_SORTS.join(', ')}` });
+    }
+    if (sort === 'relevance' && !query) sort = 'newest';
+
+    const limit = positiveInt('limit', 'Limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const page = positiveInt('page', 'Page', 1);
+
+    let after = null;
+    const cursor = value('cursor');
+    if (cursor) {
+        after = decodeCursor(cursor);
+        if (!after) errors.push({ field: 'cursor', msg: 'Invalid cursor' });
+        else if (sort !== 'newest' && sort !== 'oldest') errors.push({ field: 'cursor', msg: 'Cursors only work with sort=newest or sort=oldest' });
+        else if (params.page) errors.push({ field: 'cursor', msg: 'Use either page or cursor, not both' });
+    }
+
+    return {
+        search: { query: query || null, filters, sort, limit, offset: after ? 0 : (page - 1) * limit, after },
+        page: after ? null : page,
+        errors
+    };
+}
+
+// facetCounts rows -> { total, facets: { year: [{ value, count }], ... } }, newest years first
+function groupFacets(rows) {
+    const facets = { year: [], academicYear: [], semester: [], category: [], slot: [] };
+    let total = 0;
+    for (const row of rows) {
+        const count = Number(row.count);
+        if (row.facet === 'total') total = count;
+        else if (facets[row.facet]) facets[row.facet].push({ value: row.value, count });
+    }
+    facets.year.sort((a, b) => b.value.localeCompare(a.value));
+    facets.academicYear.sort((a, b) => b.value.localeCompare(a.value));
+    facets.semester.sort((a, b) => SEMESTER_TERMS.indexOf(a.value) - SEMESTER_TERMS.indexOf(b.value));
+    facets.category.sort((a, b) => CATEGORIES.indexOf(a.value) - CATEGORIES.indexOf(b.value));
+    facets.slot.sort((a, b) => a.value.localeCompare(b.value));
+    return { total, facets };
+}
+
+// Page photos in upload order with their rotations (the `rotations` field is a JSON array of degrees).
+// Resolves to { file: { buffer, perceptualSource } } with the merged PDF, or { error }.
+async function mergePagePhotos(pages, rotationsField) {
+    let rotations;
+    try {
+        rotations = rotationsField ? JSON.parse(rotationsField) : [];
+    } catch (e) {
+        rotations = null;
+    }
+    if (!Array.isArray(rotations) || rotations.some(r => !ROTATIONS.includes(r))) {
+        return { error: `Page rotations must be one of: ${ROTATIONS.join(', ')}` };
+    }
+
+    for (let i = 0; i < pages.length; i++) {
+        const page = await inspectPaperFile(pages[i].buffer);
+        if (page.error) return { error: `Page ${i + 1}: ${page.error}` };
+        if (!page.type.contentType.startsWith('image/')) return { error: `Page ${i + 1}: only images can be combined into a paper` };
+    }
+
+    const merged = await imagesToPdf(pages.map((page, i) => ({ buffer: page.buffer, rotation: rotations[i] || 0 })));
+    return { file: { buffer: merged.pdf, perceptualSource: merged.firstPage } };
+}
+
+// The paper file in an upload: one `file`, or `pages` photos merged into a PDF. Resolves to
+// { file: { buffer, perceptualSource }, type, isImage } or { error }.
+async function receivePaperFile(req) {
+    const single = req.files && req.files.file ? req.files.file[0] : null;
+    const pages = req.files && req.files.pages ? req.files.pages : [];
+
+    // Images are compared by how they look, so perceptualSource is the picture to hash
+    let file;
+    if (single && pages.length > 0) {
+        return { error: 'Upload either one file or page photos, not both' };
+    } else if (pages.length > 0) {
+        const merged = await mergePagePhotos(pages, req.body.rotations);
+        if (merged.error) return { error: merged.error };
+        file = merged.file;
+    } else if (single) {
+        file = { buffer: single.buffer, perceptualSource: single.buffer };
+    } else {
+        return { error: 'Please choose a file to upload' };
+    }
+
+    // The browser's MIME type and file name are not trusted, the bytes decide what the file is
+    const inspected = await inspectPaperFile(file.buffer);
+    if (inspected.error) return { error: inspected.error };
+
+    return { file, type: inspected.type, isImage: inspected.type.contentType.startsWith('image/') || pages.length > 0 };
+}
+
+// A paper or an older version of one with exactly these bytes, as { paper, version }, or null
+async function findUploadedCopy(contentHash) {
+    const paper = await db.papers.findByContentHash(contentHash);
+    if (paper) return { paper, version: paper.version };
+
+    const version = await db.paperVersions.findByContentHash(contentHash);
+    const versionOf = version ? await db.papers.findById(version.paper_id) : null;
+    return versionOf ? { paper: versionOf, version: version.version } : null;
+}
+
+function duplicateResponse(paper) {
+    return {
+        id: paper.id,
+        subject: paper.subject,
+        courseCode: paper.course_code,
+        filePath: paper.file_path
+    };
+}
+
+// Store a received file with its card preview and search text. Resolves to the papers columns
+// describing the file; throws if the file itself could not be stored.
+async function storePaperFile(file, type) {
+    // Random, so two uploads in the same millisecond can't overwrite each other's file
+    const fileKey = `${crypto.randomUUID()}${type.ext}`;
+    await storage.put(fileKey, file.buffer, { contentType: type.contentType });
+
+    // Card preview. A paper without one still uploads, the backfill script can retry later.
+    let thumbnailKey = null;
+    try {
+        const thumbnail = await createThumbnail(file.buffer, type.contentType);
+        thumbnailKey = thumbnailKeyFor(fileKey);
+        await storage.put(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+    } catch (thumbnailError) {
+        console.error('Thumbnail Error:', thumbnailError.message);
+        thumbnailKey = null;
+    }
+
+    // Text for full-text search. Scans and photos have none, they are left for OCR (npm run index:text).
+    let contentText = null;
+    if (type.contentType === 'application/pdf') {
+        contentText = await extractPdfText(file.buffer).catch(e => {
+            console.error('Text Extraction Error:', e.message);
+            return null;
+        });
+    }
+
+    return {
+        file_path: storage.publicUrl(fileKey), // Store the full URL
+        file_key: fileKey, // Key in storage, needed to delete the file later
+        thumbnail_url: thumbnailKey ? storage.publicUrl(thumbnailKey) : null,
+        thumbnail_key: thumbnailKey,
+        content_text: contentText,
+        text_source: contentText ? 'pdf' : null
+    };
+}
+
+async function deleteStoredFiles(stored) {
+    for (const key of [stored.file_key, stored.thumbnail_key].filter(Boolean)) {
+        await storage.delete(key).catch(e => console.error('Storage cleanup failed:', e.message));
+    }
+}
 
 // Upload Paper
-router.post('/upload', [auth, upload.single('file')], async (req, res) => {
+router.post('/upload', [auth, uploadPaperFiles], async (req, res) => {
     try {
-        const { subject, courseCode, examYear, examName, category } = req.body;
-        const file = req.file;
+        const { fields, errors } = validatePaperFields(req.body);
+        const { subject, courseCode, examYear, examName, semesterTerm, academicYear, category, slot } = fields;
 
-        if (!file) {
-            return res.status(400).json({ msg: 'No file uploaded' });
+        const received = await receivePaperFile(req);
+        if (received.error) errors.push({ field: 'file', msg: received.error });
+
+        // A course picked from the catalog (autocomplete) decides the code and subject
+        let course = null;
+        if (req.body.courseId) {
+            course = UUID_PATTERN.test(req.body.courseId) ? await db.courses.findById(req.body.courseId) : null;
+            if (!course) errors.push({ field: 'courseCode', msg: 'That course is not in the catalog' });
         }
 
-        // 1. Upload file to Supabase Storage
-        const fileExt = path.extname(file.originalname);
-        const fileName = `${Date.now()}${fileExt}`;
-        const filePath = `${fileName}`; // Path in bucket
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const { file, type: fileType } = received;
 
-        const { data: storageData, error: storageError } = await supabase
-            .storage
-            .from('papers')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype
+        // 1. Fingerprint the file. The same bytes (also an older version of a paper) can only be
+        // uploaded once, and images that look almost the same as an existing paper are flagged for the moderators.
+        const contentHash = fingerprint.contentHash(file.buffer);
+        const existing = await findUploadedCopy(contentHash);
+        if (existing) {
+            return res.status(409).json({
+                msg: 'This paper has already been uploaded',
+                duplicateOf: duplicateResponse(existing.paper)
             });
+        }
 
-        if (storageError) {
+        let perceptualHash = null;
+        let duplicateOf = null;
+        if (received.isImage) {
+            perceptualHash = await fingerprint.perceptualHash(file.perceptualSource).catch(() => null);
+            if (perceptualHash) duplicateOf = await findNearDuplicate(perceptualHash);
+        }
+
+        // 2. Store the file with its preview and search text
+        let stored;
+        try {
+            stored = await storePaperFile(file, fileType);
+        } catch (storageError) {
             console.error('Storage Error:', storageError);
             return res.status(500).send('Error uploading file');
         }
 
-        // Get Public URL
-        const { data: publicUrlData } = supabase
-            .storage
-            .from('papers')
-            .getPublicUrl(filePath);
-
-        const publicUrl = publicUrlData.publicUrl;
-
-        // 2. Insert metadata into Supabase Database
-        const { data: newPaper, error: dbError } = await supabase
-            .from('papers')
-            .insert([
-                {
-                    subject,
-                    course_code: courseCode,
-                    exam_year: examYear,
-                    exam_name: examName,
-                    category,
-                    file_path: publicUrl, // Store the full URL
-                    uploader_id: req.user.id
-                }
-            ])
-            .select()
-            .single();
-
-        if (dbError) {
+        // 3. Insert metadata into the database, linked to the catalog course (a new code adds a course)
+        let newPaper;
+        try {
+            if (!course) course = await db.courses.findOrCreate({ code: courseCode, name: subject });
+            newPaper = await db.papers.create({
+                subject: course.name,
+                course_code: course.code,
+                course_id: course.id,
+                exam_year: examYear,
+                exam_name: examName,
+                semester_term: semesterTerm,
+                academic_year: academicYear,
+                category,
+                slot,
+                ...stored,
+                uploader_id: req.user.id,
+                status: 'pending', // Hidden from search until a moderator approves it
+                content_hash: contentHash,
+                perceptual_hash: perceptualHash,
+                duplicate_of: duplicateOf
+            });
+        } catch (dbError) {
             console.error('DB Error:', dbError);
+            // Don't leave orphaned files behind
+            await deleteStoredFiles(stored);
             return res.status(500).send('Error saving paper metadata');
         }
 
-        // 3. Update User Points
-        // Fetch current points first
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('points, level')
-            .eq('id', req.user.id)
-            .single();
+        // Start the version history; adding a version later fills it in if this fails
+        await recordFirstVersion(newPaper).catch(e => console.error('Version Error:', e.message));
 
-        if (!userError && user) {
-            let newPoints = (user.points || 0) + 50;
-            let newLevel = user.level;
-
-            if (newPoints >= 4000) newLevel = 'Legendary';
-            else if (newPoints >= 3000) newLevel = 'Diamond';
-            else if (newPoints >= 2000) newLevel = 'Gold';
-            else if (newPoints >= 1000) newLevel = 'Silver';
-
-            await supabase
-                .from('users')
-                .update({ points: newPoints, level: newLevel })
-                .eq('id', req.user.id);
-        }
+        // 4. Points are awarded when a moderator approves the paper (see routes/moderation.js)
 
         // Map response to camelCase
         const responsePaper = {
@@ -118,8 +463,16 @@ router.post('/upload', [auth, upload.single('file')], async (req, res) => {
             courseCode: newPaper.course_code,
             examYear: newPaper.exam_year,
             examName: newPaper.exam_name,
+            semesterTerm: newPaper.semester_term,
+            academicYear: newPaper.academic_year,
             category: newPaper.category,
+            slot: newPaper.slot,
+            courseId: newPaper.course_id,
             filePath: newPaper.file_path,
+            thumbnailUrl: newPaper.thumbnail_url,
+            status: newPaper.status,
+            version: newPaper.version,
+            duplicateOf: newPaper.duplicate_of,
             uploader: newPaper.uploader_id
         };
 
@@ -131,53 +484,312 @@ router.post('/upload', [auth, upload.single('file')], async (req, res) => {
     }
 });
 
+// Fix a paper's details. Fields that aren't sent keep their current values. As on upload, the
+// course code links the paper to a catalog course, which decides the subject.
+router.patch('/:id', auth, async (req, res) => {
+    try {
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+        if (!await canManagePaper(req.user.id, paper)) return res.status(403).json({ msg: 'You can only change your own papers' });
+
+        // A stored exam name like "Fall 2023" would contradict a new term or year, so it is rebuilt
+        const termOrYearChanged = req.body.semesterTerm !== undefined || req.body.examYear !== undefined;
+        const { fields, errors } = validatePaperFields({
+            subject: paper.subject,
+            courseCode: paper.course_code,
+            examYear: paper.exam_year,
+            semesterTerm: paper.semester_term,
+            examName: termOrYearChanged ? '' : paper.exam_name,
+            category: paper.category,
+            slot: paper.slot,
+            ...req.body
+        });
+
+        let course = null;
+        if (req.body.courseId) {
+            course = UUID_PATTERN.test(req.body.courseId) ? await db.courses.findById(req.body.courseId) : null;
+            if (!course) errors.push({ field: 'courseCode', msg: 'That course is not in the catalog' });
+        }
+
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        if (!course) course = await db.courses.findOrCreate({ code: fields.courseCode, name: fields.subject });
+        const changes = {
+            subject: course.name,
+            course_code: course.code,
+            course_id: course.id,
+            exam_year: fields.examYear,
+            exam_name: fields.examName,
+            semester_term: fields.semesterTerm,
+            academic_year: fields.academicYear,
+            category: fields.category,
+            slot: fields.slot
+        };
+        // An uploader fixing a rejected paper sends it back to the moderation queue
+        if (paper.status === 'rejected' && paper.uploader_id === req.user.id) {
+            Object.assign(changes, { status: 'pending', rejection_reason: null, reviewed_by: null, reviewed_at: null });
+        }
+
+        await db.papers.update(paper.id, changes);
+        const updated = await db.papers.findById(paper.id);
+
+        res.json({ ...mapPaper(updated), rejectionReason: updated.rejection_reason || null, createdAt: updated.created_at });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Delete a paper with its files; the uploader loses the points it earned (see services/papers.js)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+        if (!await canManagePaper(req.user.id, paper)) return res.status(403).json({ msg: 'You can only delete your own papers' });
+
+        const removed = await removePaper(paper.id);
+        if (!removed) return res.status(404).json({ msg: 'Paper not found' });
+
+        res.json({ paperId: removed.id, removed: true });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// A paper's version history, newest first; `current` is the one search and links use
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        const versions = await db.paperVersions.listForPaper(paper.id);
+
+        res.json({ paperId: paper.id, current: paper.version, versions: versions.map(mapPaperVersion) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Replace a paper's file with a better scan. The old file stays as an earlier version that
+// moderators can roll back to; likes, downloads and reports stay with the paper. The new file
+// goes live without review, so only the uploader or a moderator can add one.
+// New versions earn no points.
+router.post('/:id/versions', [auth, uploadPaperFiles], async (req, res) => {
+    try {
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        if (!await canManagePaper(req.user.id, paper)) {
+            return res.status(403).json({ msg: 'Only the uploader or a moderator can add a version of this paper' });
+        }
+
+        const received = await receivePaperFile(req);
+        if (received.error) return res.status(400).json({ msg: received.error, errors: [{ field: 'file', msg: received.error }] });
+        const { file, type: fileType } = received;
+
+        const contentHash = fingerprint.contentHash(file.buffer);
+        const existing = await findUploadedCopy(contentHash);
+        if (existing && existing.paper.id === paper.id) {
+            return res.status(409).json({ msg: `This file is already version ${existing.version} of this paper` });
+        }
+        if (existing) {
+            return res.status(409).json({ msg: 'This paper has already been uploaded', duplicateOf: duplicateResponse(existing.paper) });
+        }
+
+        const perceptualHash = received.isImage
+            ? await fingerprint.perceptualHash(file.perceptualSource).catch(() => null)
+            : null;
+
+        let stored;
+        try {
+            stored = await storePaperFile(file, fileType);
+        } catch (storageError) {
+            console.error('Storage Error:', storageError);
+            return res.status(500).send('Error uploading file');
+        }
+
+        const updated = await addPaperVersion(paper, { ...stored, content_hash: contentHash, perceptual_hash: perceptualHash }, req.user.id);
+        if (!updated) {
+            await deleteStoredFiles(stored);
+            return res.status(409).json({ msg: 'Another version was uploaded at the same time, please try again' });
+        }
+
+        res.status(201).json(mapPaper(await db.papers.findById(paper.id)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
 // Search Papers
+// Query parameters (all optional): query, courseCode, year, category, slot, semester, academicYear, uploader,
+// sort (relevance|newest|oldest|popular|downloads), limit, and page or cursor (newest/oldest only).
+// Responds with { papers, total, page, limit, nextCursor, facets, didYouMean }.
 router.get('/search', async (req, res) => {
     try {
-        const { query } = req.query;
-
-        let supabaseQuery = supabase
-            .from('papers')
-            .select(`
-                *,
-                uploader:users (
-                    first_name,
-                    last_name,
-                    profile_pic
-                )
-            `);
-
-        if (query) {
-            // ILIKE search on multiple columns
-            supabaseQuery = supabaseQuery.or(`subject.ilike.%${query}%,course_code.ilike.%${query}%,exam_name.ilike.%${query}%`);
-        }
-
-        const { data: papers, error } = await supabaseQuery;
-
-        if (error) throw error;
-
-        // Map to camelCase for frontend
-        const mappedPapers = papers.map(p => ({
-            _id: p.id,
-            id: p.id,
-            subject: p.subject,
-            courseCode: p.course_code,
-            examYear: p.exam_year,
-            examName: p.exam_name,
-            category: p.category,
-            filePath: p.file_path,
-            uploader: p.uploader ? {
-                firstName: p.uploader.first_name,
-                lastName: p.uploader.last_name,
-                profilePic: p.uploader.profile_pic
-            } : null
-        }));
-
-        res.json(mappedPapers);
+        const { search, page, errors } = parseSearchParams(req.query);
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const [papers, facetRows] = await Promise.all([
+            db.papers.search(search),
+            db.papers.facetCounts(search)
+        ]);
+        const { total, facets } = groupFacets(facetRows);
+
+        // Nothing matched the search text: offer the closest subjects and course codes instead
+        const didYouMean = total === 0 && search.query ? await db.papers.suggest({ query: search.query, filters: search.filters }) : [];
+
+        // A full page sorted by date can be continued from its last paper
+        const last = papers[papers.length - 1];
+        const keyset = search.sort === 'newest' || search.sort === 'oldest';
+
+        res.json({
+            papers: papers.map(mapPaper),
+            total,
+            page,
+            limit: search.limit,
+            nextCursor: keyset && papers.length === search.limit ? encodeCursor(last) : null,
+            facets,
+            didYouMean
+        });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
+// Record a download (guests count towards the paper's total too). Only papers everyone can see
+// count, so unreviewed or hidden papers earn their uploader nothing.
+router.post('/:id/download', auth.optional, async (req, res) => {
+    try {
+        const paper = await findPublicPaper(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        const userId = req.user ? req.user.id : null;
+        await db.downloads.record({ paperId: paper.id, userId });
+        // Downloads of your own papers don't count towards badges
+        if (paper.uploader_id !== userId) evaluateBadgesInBackground(paper.uploader_id, BADGE_EVENTS.paperDownloaded);
+
+        res.json({
+            paperId: paper.id,
+            downloadCount: await db.downloads.countForPaper(paper.id),
+            userDownloadCount: userId ? await db.downloads.countForUser(userId) : null
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Like status of a paper for the logged-in user
+router.get('/:id/like', auth, async (req, res) => {
+    try {
+        const paper = await findPublicPaper(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        res.json({
+            liked: await db.likes.isLiked(req.user.id, paper.id),
+            likeCount: await db.likes.countForPaper(paper.id)
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Like a paper (liking twice is a no-op). Only papers everyone can see can be liked.
+router.post('/:id/like', auth, async (req, res) => {
+    try {
+        const paper = await findPublicPaper(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        await db.likes.like(req.user.id, paper.id);
+
+        res.json({ liked: true, likeCount: await db.likes.countForPaper(paper.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Remove a like (also from a paper hidden since)
+router.delete('/:id/like', auth, async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) return res.status(404).json({ msg: 'Paper not found' });
+
+        await db.likes.unlike(req.user.id, req.params.id);
+
+        res.json({ liked: false, likeCount: await db.likes.countForPaper(req.params.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Report a paper to the moderators
+router.post('/:id/reports', auth, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const note = String(req.body.note || '').trim();
+
+        const errors = [];
+        if (!REPORT_REASONS.includes(reason)) {
+            errors.push({ field: 'reason', msg: 'Please pick a reason for the report' });
+        }
+        if (note.length > MAX_REPORT_NOTE_LENGTH) {
+            errors.push({ field: 'note', msg: `Note must be at most ${MAX_REPORT_NOTE_LENGTH} characters` });
+        } else if (reason === 'other' && !note) {
+            errors.push({ field: 'note', msg: 'Please describe the problem' });
+        }
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const paper = await db.papers.findById(req.params.id);
+        if (!paper) return res.status(404).json({ msg: 'Paper not found' });
+
+        if (await db.reports.findOpen(paper.id, req.user.id)) {
+            return res.status(409).json({ msg: 'You have already reported this paper' });
+        }
+
+        const report = await db.reports.create({
+            paper_id: paper.id,
+            reporter_id: req.user.id,
+            reason,
+            note: note || null
+        });
+
+        // Enough separate reports take the paper out of search until a moderator looks at it
+        if (!paper.hidden_at && await db.reports.countOpenForPaper(paper.id) >= REPORT_HIDE_THRESHOLD) {
+            await db.papers.update(paper.id, { hidden_at: new Date().toISOString() });
+        }
+
+        res.status(201).json({
+            id: report.id,
+            paperId: report.paper_id,
+            reason: report.reason,
+            note: report.note,
+            status: report.status,
+            createdAt: report.created_at
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Multer rejects oversized or extra files before the route runs
+router.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const messages = {
+            LIMIT_FILE_SIZE: `Files must be under ${MAX_UPLOAD_MB} MB`,
+            LIMIT_FILE_COUNT: `A paper can have at most ${MAX_PDF_PAGES} pages`,
+            LIMIT_UNEXPECTED_FILE: `Upload one file, or at most ${MAX_PDF_PAGES} page photos`
+        };
+        const msg = messages[err.code] || err.message;
+        return res.status(400).json({ msg, errors: [{ field: 'file', msg }] });
+    }
+    next(err);
+});
+
 module.exports = router;
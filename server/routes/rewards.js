@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const auth = require('../middleware/auth');
+const { rewardEligibility } = require('../services/rewards');
+const { mapRewardRequest } = require('../utils/mappers');
+
+const PAYOUT_METHODS = ['upi', 'bank'];
+const UPI_ID = /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/;
+const ACCOUNT_NUMBER = /^\d{9,18}$/;
+const IFSC = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Everything here is about the logged-in user's own prize money
+router.use(auth);
+
+// Payout details for the chosen method, plus a list of { field, msg } problems.
+// Only the chosen method's fields are kept.
+function validatePayoutDetails(body) {
+    const fields = { payout_method: String(body.payoutMethod || '').trim().toLowerCase() };
+    const errors = [];
+
+    if (fields.payout_method === 'upi') {
+        fields.upi_id = String(body.upiId || '').trim();
+        if (!UPI_ID.test(fields.upi_id)) errors.push({ field: 'upiId', msg: 'Enter a valid UPI ID (e.g. name@bank)' });
+    } else if (fields.payout_method === 'bank') {
+        fields.account_name = String(body.accountName || '').trim();
+        fields.account_number = String(body.accountNumber || '').replace(/\s/g, '');
+        fields.ifsc = String(body.ifsc || '').trim().toUpperCase();
+        if (fields.account_name.length < 2 || fields.account_name.length > 100) {
+            errors.push({ field: 'accountName', msg: 'Account holder name must be 2-100 characters' });
+        }
+        if (!ACCOUNT_NUMBER.test(fields.account_number)) errors.push({ field: 'accountNumber', msg: 'Account number must be 9-18 digits' });
+        if (!IFSC.test(fields.ifsc)) errors.push({ field: 'ifsc', msg: 'Enter a valid IFSC code (e.g. SBIN0001234)' });
+    } else {
+        errors.push({ field: 'payoutMethod', msg: `payoutMethod must be one of: ${PAYOUT_METHODS.join(', ')}` });
+    }
+
+    return { fields, errors };
+}
+
+// Whether the user can claim prize money now, and why not if they can't
+router.get('/eligibility', async (req, res) => {
+    try {
+        const { activeRequest, ...eligibility } = await rewardEligibility(req.user.id);
+        res.json({ ...eligibility, activeRequest: activeRequest ? mapRewardRequest(activeRequest) : null });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// The user's requests, newest first
+router.get('/requests', async (req, res) => {
+    try {
+        const requests = await db.rewards.listForUser(req.user.id);
+        res.json(requests.map(r => mapRewardRequest(r)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// File a request for the points the user has now; an admin reviews and pays it
+router.post('/requests', async (req, res) => {
+    try {
+        const { fields, errors } = validatePayoutDetails(req.body);
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0].msg, errors });
+
+        const eligibility = await rewardEligibility(req.user.id);
+        if (eligibility.activeRequest) {
+            return res.status(409).json({ msg: eligibility.reason, request: mapRewardRequest(eligibility.activeRequest) });
+        }
+        if (!eligibility.eligible) return res.status(403).json({ msg: eligibility.reason });
+
+        const request = await db.rewards.create({ ...fields, user_id: req.user.id, points: eligibility.points });
+        // null when a concurrent request was filed first
+        if (!request) return res.status(409).json({ msg: 'A request is already in progress' });
+
+        res.status(201).json(mapRewardRequest(request));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const { mapPaper, mapPublicUser } = require('../utils/mappers');
+const { pointsStanding } = require('../services/points');
+const { describeBadges } = require('../utils/badges');
+const { UUID_PATTERN } = require('../utils/uuid');
+
+// Newest approved uploads on a public profile; the rest are in search with `uploader`
+const PROFILE_PAPERS_LIMIT = 50;
+
+// Anyone's public profile: name, avatar, level, badges and the papers they shared
+router.get('/:id/public', async (req, res) => {
+    try {
+        const user = UUID_PATTERN.test(req.params.id) ? await db.users.findById(req.params.id) : null;
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+
+        const [standing, badges, papers] = await Promise.all([
+            pointsStanding(user.id),
+            db.badges.listForUser(user.id),
+            db.papers.search({ filters: { uploader: user.id }, sort: 'newest', limit: PROFILE_PAPERS_LIMIT })
+        ]);
+
+        res.json({
+            ...mapPublicUser(user),
+            points: standing.points,
+            level: standing.level,
+            uploads: standing.uploads,
+            badges: describeBadges(badges.map(row => row.badge)),
+            papers: papers.map(mapPaper)
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
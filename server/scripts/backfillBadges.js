@@ -0,0 +1,44 @@
+// Awards the badges users already qualify for, e.g. after adding a badge rule or for
+// contributions made before badges existed. New badges are otherwise only checked when
+// something happens (a paper approved, downloaded, ...).
+//
+//   npm run backfill:badges               (every user, 1000 at a time)
+//   npm run backfill:badges -- --limit 50 (50 at a time)
+//
+// Uses the same DB_DRIVER setting as the server. Running it again is safe.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const db = require('../db');
+const { evaluateBadges } = require('../services/badges');
+const { parseLimit } = require('./common');
+
+async function main() {
+    const limit = parseLimit(process.argv);
+
+    let checked = 0;
+    let awarded = 0;
+    for (let offset = 0; ; offset += limit) {
+        const users = await db.users.listIds({ limit, offset });
+        for (const { id } of users) {
+            try {
+                const earned = await evaluateBadges(id);
+                awarded += earned.length;
+                earned.forEach(badge => console.log(`✓ ${id} ${badge.icon} ${badge.name}`));
+            } catch (err) {
+                console.error(`✗ ${id}: ${err.message}`);
+            }
+        }
+        checked += users.length;
+        if (users.length < limit) break;
+    }
+
+    console.log(`Checked ${checked} user(s), awarded ${awarded} badge(s)`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
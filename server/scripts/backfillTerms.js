@@ -0,0 +1,45 @@
+// Fills in semester_term and academic_year for papers uploaded before those fields, by reading
+// the free-text exam name ("Fall 2023", "Winter Semester 2023-24", ...).
+//
+//   npm run backfill:terms               (up to 1000 papers per run)
+//   npm run backfill:terms -- --limit 50
+//
+// Uses the same DB_DRIVER setting as the server. Papers whose exam name names no semester are
+// reported and left as they are; fix their exam name and run it again.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const db = require('../db');
+const { parseExamName } = require('../utils/examTerm');
+const { parseLimit } = require('./common');
+
+async function main() {
+    const papers = await db.papers.listWithoutTerm({ limit: parseLimit(process.argv) });
+    console.log(`${papers.length} paper(s) without a semester or academic year`);
+
+    let done = 0;
+    for (const paper of papers) {
+        try {
+            const { semesterTerm, academicYear } = parseExamName(paper.exam_name, paper.exam_year);
+            const fields = {};
+            if (semesterTerm && !paper.semester_term) fields.semester_term = semesterTerm;
+            if (academicYear && !paper.academic_year) fields.academic_year = academicYear;
+            if (Object.keys(fields).length > 0) await db.papers.update(paper.id, fields);
+
+            if (!semesterTerm || !academicYear) throw new Error(`no semester in exam name "${paper.exam_name}"`);
+            done++;
+            console.log(`✓ ${paper.id} ${paper.exam_name} → ${semesterTerm} ${academicYear}`);
+        } catch (err) {
+            console.error(`✗ ${paper.id} ${paper.subject}: ${err.message}`);
+        }
+    }
+
+    console.log(`Filled in ${done} of ${papers.length} paper(s)`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,50 @@
+// Generates card thumbnails for papers uploaded before thumbnails existed.
+//
+//   npm run backfill:thumbnails               (up to 1000 papers per run)
+//   npm run backfill:thumbnails -- --limit 50
+//
+// Uses the same DB_DRIVER / STORAGE_DRIVER settings as the server. Papers that fail are
+// reported and left without a thumbnail, so running it again retries them.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const db = require('../db');
+const storage = require('../storage');
+const { sniffFileType } = require('../utils/paperFile');
+const { createThumbnail, thumbnailKeyFor } = require('../utils/thumbnail');
+const { parseLimit, readPaperFile } = require('./common');
+
+async function main() {
+    const papers = await db.papers.listWithoutThumbnail({ limit: parseLimit(process.argv) });
+    console.log(`${papers.length} paper(s) without a thumbnail`);
+
+    let done = 0;
+    for (const paper of papers) {
+        try {
+            const buffer = await readPaperFile(paper);
+            const type = sniffFileType(buffer);
+            if (!type) throw new Error('not a PDF or image');
+
+            const thumbnailKey = paper.file_key ? thumbnailKeyFor(paper.file_key) : `${paper.id}.thumb.webp`;
+            await storage.put(thumbnailKey, await createThumbnail(buffer, type.contentType), { contentType: 'image/webp' });
+            await db.papers.update(paper.id, {
+                thumbnail_url: storage.publicUrl(thumbnailKey),
+                thumbnail_key: thumbnailKey
+            });
+
+            done++;
+            console.log(`✓ ${paper.id} ${paper.subject}`);
+        } catch (err) {
+            console.error(`✗ ${paper.id} ${paper.subject}: ${err.message}`);
+        }
+    }
+
+    console.log(`Created ${done} of ${papers.length} thumbnail(s)`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
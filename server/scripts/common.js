@@ -0,0 +1,24 @@
+// Helpers shared by the maintenance scripts
+const storage = require('../storage');
+
+// `--limit N` from the command line, or the default
+function parseLimit(argv, defaultLimit = 1000) {
+    const i = argv.indexOf('--limit');
+    const limit = i === -1 ? defaultLimit : parseInt(argv[i + 1], 10);
+    if (!limit || limit < 1) throw new Error('--limit must be a positive number');
+    return limit;
+}
+
+// A paper's bytes from storage, or from its public URL for rows that predate file_key
+async function readPaperFile(paper) {
+    if (paper.file_key) {
+        const stored = await storage.get(paper.file_key);
+        if (stored) return stored.buffer;
+    }
+
+    const res = await fetch(paper.file_path);
+    if (!res.ok) throw new Error(`download failed with HTTP ${res.status}`);
+    return Buffer.from(await res.arrayBuffer());
+}
+
+module.exports = { parseLimit, readPaperFile };
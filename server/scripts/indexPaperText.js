@@ -0,0 +1,58 @@
+// Extracts searchable text for papers that have none yet: uploads from before full-text
+// search, and scans or photos, which are sent through OCR (tesseract.js, English).
+//
+//   npm run index:text               (up to 1000 papers per run)
+//   npm run index:text -- --limit 50
+//
+// Uses the same DB_DRIVER / STORAGE_DRIVER settings as the server. OCR takes a few
+// seconds per page, so run it from a shell or a scheduled job, not from the API.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const db = require('../db');
+const { sniffFileType } = require('../utils/paperFile');
+const { extractPdfText, createOcrWorker, ocrPaper } = require('../utils/paperText');
+const { parseLimit, readPaperFile } = require('./common');
+
+async function main() {
+    const papers = await db.papers.listWithoutText({ limit: parseLimit(process.argv) });
+    console.log(`${papers.length} paper(s) without text`);
+    if (papers.length === 0) return;
+
+    const worker = await createOcrWorker();
+    try {
+        for (const paper of papers) {
+            try {
+                const buffer = await readPaperFile(paper);
+                const type = sniffFileType(buffer);
+                if (!type) throw new Error('not a PDF or image');
+
+                // The PDF's own text when it has some, OCR otherwise
+                let text = type.contentType === 'application/pdf' ? await extractPdfText(buffer) : null;
+                let source = 'pdf';
+                if (!text) {
+                    text = await ocrPaper(worker, buffer, type.contentType);
+                    source = 'ocr';
+                }
+
+                await db.papers.update(paper.id, {
+                    content_text: text || null,
+                    // 'none' so papers without any readable text are not retried forever
+                    text_source: text ? source : 'none'
+                });
+                console.log(`✓ ${paper.id} ${paper.subject} (${text ? `${source}, ${text.length} chars` : 'no text'})`);
+            } catch (err) {
+                console.error(`✗ ${paper.id} ${paper.subject}: ${err.message}`);
+            }
+        }
+    } finally {
+        await worker.terminate();
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
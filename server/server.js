@@ -5,6 +5,8 @@ const path = require('path');
 
 dotenv.config();
 
+const storage = require('./storage');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -12,17 +14,32 @@ const PORT = process.env.PORT || 5000;
 app.use(cors());
 app.use(express.json());
 
-// Serve Static Files (Frontend) from Parent Directory
-// This allows accessing pyq.html, pyq.js, pyq.css, etc.
-app.use(express.static(path.join(__dirname, '../')));
+// Serve the frontend from the parent directory. Only the site's own files are served: the
+// directory also holds server/ (.env, the SQLite database, local uploads) and editor settings.
+const FRONTEND_DIR = path.join(__dirname, '../');
+const FRONTEND_FILES = ['index.html', 'pyq.js', 'pyq.css', 'favicon.png', 'favicon.jpg', 'logo.jpeg', 'clear_data.html', 'clear_papers.html'];
+FRONTEND_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(FRONTEND_DIR, file)));
+});
+
+// Let the storage driver serve uploaded files if it needs to (local driver)
+storage.mount(app);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/papers', require('./routes/papers'));
+app.use('/api/me', require('./routes/me'));
+app.use('/api/moderation', require('./routes/moderation'));
+app.use('/api/courses', require('./routes/courses'));
+app.use('/api/levels', require('./routes/levels'));
+app.use('/api/leaderboard', require('./routes/leaderboard'));
+app.use('/api/badges', require('./routes/badges'));
+app.use('/api/rewards', require('./routes/rewards'));
+app.use('/api/users', require('./routes/users'));
 
-// Serve pyq.html for root
+// Serve the app for root
 app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../pyq.html'));
+  res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
 });
 
 // Bind to 0.0.0.0 to allow access from other devices (like phone)
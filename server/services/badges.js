@@ -0,0 +1,25 @@
+const db = require('../db');
+const { BADGES } = require('../utils/badges');
+
+// Run the badge rules that listen for `event` (all rules when event is null) and store the
+// badges the user has now earned. Returns the newly earned badges.
+async function evaluateBadges(userId, event = null) {
+    const owned = new Set((await db.badges.listForUser(userId)).map(row => row.badge));
+    const candidates = BADGES.filter(badge => !owned.has(badge.id) && (!event || badge.events.includes(event)));
+    if (candidates.length === 0) return [];
+
+    const stats = await db.badges.statsFor(userId);
+    const earned = [];
+    for (const badge of candidates) {
+        // award() returns null when a concurrent request stored it first
+        if (badge.earned(stats) && await db.badges.award(userId, badge.id)) earned.push(badge);
+    }
+    return earned;
+}
+
+// Badges are a side effect: a failing rule is logged instead of failing the request
+function evaluateBadgesInBackground(userId, event) {
+    return evaluateBadges(userId, event).catch(err => console.error('Badge Error:', err.message));
+}
+
+module.exports = { evaluateBadges, evaluateBadgesInBackground };
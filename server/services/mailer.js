@@ -0,0 +1,55 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. Configure a real SMTP server in .env:
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS, MAIL_FROM
+// In dev point SMTP_HOST/SMTP_PORT at a local catcher such as Mailpit or MailHog
+// (localhost:1025, no auth). Without SMTP_HOST, messages are only printed to the console,
+// except with NODE_ENV=production, where that would put login codes in the logs: sending fails.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'VIT PYQ <no-reply@vitpyqpapers.in>';
+
+function createTransport() {
+    if (!process.env.SMTP_HOST) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('SMTP_HOST is not set: emails cannot be sent');
+        }
+        console.warn('SMTP_HOST is not set: emails will be logged to the console instead of sent');
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+}
+
+let transport = null;
+
+async function sendMail({ to, subject, text, html }) {
+    if (!transport) transport = createTransport();
+
+    const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+    if (transport.options.jsonTransport) {
+        console.log('Email (not sent, SMTP_HOST unset):', info.message);
+    }
+    return info;
+}
+
+async function sendPasswordResetOtp(to, otp, ttlMinutes) {
+    return sendMail({
+        to,
+        subject: 'Your VIT PYQ password reset code',
+        text: `Your password reset code is ${otp}. It expires in ${ttlMinutes} minutes.\n\nIf you didn't ask to reset your password, you can ignore this email.`,
+        html: `<p>Your password reset code is <strong style="font-size: 1.25rem; letter-spacing: 0.2em;">${otp}</strong>.</p>
+<p>It expires in ${ttlMinutes} minutes.</p>
+<p>If you didn't ask to reset your password, you can ignore this email.</p>`
+    });
+}
+
+module.exports = { sendMail, sendPasswordResetOtp };
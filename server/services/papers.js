@@ -0,0 +1,86 @@
+const db = require('../db');
+const storage = require('../storage');
+const { revokePaperPoints } = require('./points');
+const { UUID_PATTERN } = require('../utils/uuid');
+
+// papers columns that describe the current file; each paper_versions row keeps a copy of them
+const VERSION_FIELDS = ['file_path', 'file_key', 'thumbnail_url', 'thumbnail_key', 'content_hash', 'perceptual_hash', 'content_text', 'text_source'];
+
+function fileFieldsOf(row) {
+    return Object.fromEntries(VERSION_FIELDS.map(field => [field, row[field] === undefined ? null : row[field]]));
+}
+
+// Approved and not hidden after reports: what everyone can see, like and download
+function isPublicPaper(paper) {
+    return paper.status === 'approved' && !paper.hidden_at;
+}
+
+// A paper everyone can see by id, or null. The id is checked first so a malformed one is a
+// miss rather than a Postgres error.
+async function findPublicPaper(id) {
+    if (!UUID_PATTERN.test(id)) return null;
+    const paper = await db.papers.findById(id);
+    return paper && isPublicPaper(paper) ? paper : null;
+}
+
+// The paper's file as its version 1. Returns null if it already has one. The row is read again
+// because rows from findById leave out the search text, which rolling back has to restore.
+async function recordFirstVersion(paper) {
+    const row = await db.papers.findRow(paper.id);
+    if (!row) return null;
+    return db.paperVersions.create({
+        paper_id: paper.id,
+        version: 1,
+        ...fileFieldsOf(row),
+        uploaded_by: paper.uploader_id,
+        created_at: paper.created_at
+    });
+}
+
+// Make a newly stored file the paper's current version; the old file stays in the history.
+// Returns the updated paper, or null if another version was added at the same time.
+async function addPaperVersion(paper, fileFields, userId) {
+    let number = await db.paperVersions.nextNumber(paper.id);
+    // Papers uploaded before versions existed (or whose first version failed to save)
+    if (number === 1) {
+        await recordFirstVersion(paper);
+        number = 2;
+    }
+
+    const version = await db.paperVersions.create({
+        paper_id: paper.id,
+        version: number,
+        ...fileFieldsOf(fileFields),
+        uploaded_by: userId
+    });
+    if (!version) return null;
+
+    return db.papers.update(paper.id, { ...fileFieldsOf(version), version: number });
+}
+
+// Point the paper back at an older (or newer) version's file. Returns the updated paper, or
+// null if the paper has no such version.
+async function restorePaperVersion(paper, number) {
+    const version = await db.paperVersions.find(paper.id, number);
+    if (!version) return null;
+    return db.papers.update(paper.id, { ...fileFieldsOf(version), version: number });
+}
+
+// Remove a paper for good: the row (its likes, downloads, reports and versions cascade), the
+// stored files of every version and the points its uploader earned for it. Returns the deleted
+// row, or null if there was none.
+async function removePaper(paperId) {
+    const versions = await db.paperVersions.listForPaper(paperId);
+    const paper = await db.papers.delete(paperId);
+    if (!paper) return null;
+
+    const keys = new Set([paper, ...versions].flatMap(row => [row.file_key, row.thumbnail_key]).filter(Boolean));
+    for (const key of keys) {
+        await storage.delete(key).catch(e => console.error('Storage cleanup failed:', e.message));
+    }
+    await revokePaperPoints(paper.uploader_id, paper.id);
+
+    return paper;
+}
+
+module.exports = { isPublicPaper, findPublicPaper, recordFirstVersion, addPaperVersion, restorePaperVersion, removePaper };
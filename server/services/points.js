@@ -0,0 +1,31 @@
+const db = require('../db');
+const { levelForPoints, nextLevelFor } = require('../utils/levels');
+
+// Why points changed, stored as points_events.reason
+const POINT_REASONS = {
+    uploadApproved: 'upload_approved',
+    uploadRemoved: 'upload_removed',
+    openingBalance: 'opening_balance'
+};
+
+// Record points for a user in the ledger. refId is what they are for (e.g. the paper), and the
+// same reason and refId only counts once, so retries can't award twice. Returns the entry or null.
+async function awardPoints(userId, amount, reason, refId = null) {
+    return db.points.record({ userId, amount, reason, refId });
+}
+
+// Take back whatever a deleted paper earned its uploader, as one negative entry. Does nothing
+// if it earned nothing (never approved) or was already taken back.
+async function revokePaperPoints(userId, paperId) {
+    const earned = await db.points.totalForRef(userId, paperId);
+    if (earned <= 0) return null;
+    return awardPoints(userId, -earned, POINT_REASONS.uploadRemoved, paperId);
+}
+
+// Points, level and upload count from the ledger, with the progress to the next level
+async function pointsStanding(userId) {
+    const { points, uploads } = await db.points.summary(userId);
+    return { points, level: levelForPoints(points), uploads, ...nextLevelFor(points) };
+}
+
+module.exports = { POINT_REASONS, awardPoints, revokePaperPoints, pointsStanding };
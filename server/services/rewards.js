@@ -0,0 +1,30 @@
+const db = require('../db');
+const { LEVELS, REWARD_LEVEL } = require('../utils/levels');
+const { pointsStanding } = require('./points');
+
+// Prize money is paid once per user, for reaching REWARD_LEVEL. A rejected request can be
+// filed again; a pending, approved or paid one can't (reward_requests_active_idx).
+const REWARD_MIN_POINTS = LEVELS.find(level => level.name === REWARD_LEVEL).minPoints;
+
+// Whether the user may file a reward request now, from their ledger points and active request
+async function rewardEligibility(userId) {
+    const [{ points }, activeRequest] = await Promise.all([
+        pointsStanding(userId),
+        db.rewards.findActiveForUser(userId)
+    ]);
+
+    let reason = null;
+    if (activeRequest) reason = activeRequest.status === 'paid' ? 'Prize money already paid' : 'A request is already in progress';
+    else if (points < REWARD_MIN_POINTS) reason = `Reach ${REWARD_LEVEL} (${REWARD_MIN_POINTS} points) to claim prize money`;
+
+    return {
+        eligible: !reason,
+        reason,
+        points,
+        rewardLevel: REWARD_LEVEL,
+        requiredPoints: REWARD_MIN_POINTS,
+        activeRequest
+    };
+}
+
+module.exports = { REWARD_MIN_POINTS, rewardEligibility };
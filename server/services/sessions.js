@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const db = require('../db');
+
+// Access tokens are short-lived JWTs. Each login also opens a session (one per device)
+// holding a refresh token; refreshing rotates it, and only its hash is stored.
+// A refresh token is "<session id>.<secret>", so presenting an old secret for a known
+// session means it was copied: the whole session is revoked.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class SessionError extends Error { }
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+function signAccessToken(userId, sessionId) {
+    const payload = { user: { id: userId }, sid: sessionId };
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function isActive(session) {
+    return session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+// Open a session for a user who just logged in or signed up
+async function createSession(userId, req) {
+    const secret = newSecret();
+    const now = new Date().toISOString();
+
+    const session = await db.sessions.create({
+        user_id: userId,
+        refresh_token_hash: hashSecret(secret),
+        user_agent: (req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip,
+        last_used_at: now,
+        expires_at: refreshExpiry()
+    });
+
+    return {
+        token: signAccessToken(userId, session.id),
+        refreshToken: `${session.id}.${secret}`
+    };
+}
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Split a refresh token into its session row and whether the secret matches that session
+async function lookup(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!UUID.test(sessionId || '') || !secret) return { session: null, matches: false };
+
+    const session = await db.sessions.findById(sessionId);
+    if (!session) return { session: null, matches: false };
+
+    const expected = Buffer.from(session.refresh_token_hash);
+    const actual = Buffer.from(hashSecret(secret));
+    const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return { session, matches };
+}
+
+// Trade a refresh token for a new access token and a new refresh token
+async function rotateSession(refreshToken, req) {
+    const { session, matches } = await lookup(refreshToken);
+    if (!isActive(session)) throw new SessionError('Session is no longer valid, please log in again');
+
+    if (!matches) {
+        // An already-rotated token was replayed; treat the session as stolen
+        await db.sessions.update(session.id, { revoked_at: new Date().toISOString() });
+        throw new SessionError('Session has been revoked, please log in again');
+    }
+
+    const nextSecret = newSecret();
+    await db.sessions.update(session.id, {
+        refresh_token_hash: hashSecret(nextSecret),
+        last_used_at: new Date().toISOString(),
+        ip: req.ip,
+        expires_at: refreshExpiry()
+    });
+
+    return {
+        token: signAccessToken(session.user_id, session.id),
+        refreshToken: `${session.id}.${nextSecret}`
+    };
+}
+
+// Whether an access token's session is still open. Checked on every request, so logging a
+// device out ends it at once instead of when its access token expires.
+async function isSessionLive(sessionId) {
+    if (!UUID.test(sessionId || '')) return false;
+    return isActive(await db.sessions.findById(sessionId));
+}
+
+// Revoke the session a refresh token belongs to (logout on this device)
+async function revokeByRefreshToken(refreshToken) {
+    const { session, matches } = await lookup(refreshToken);
+    if (isActive(session) && matches) {
+        await db.sessions.update(session.id, { revoked_at: new Date().toISOString() });
+    }
+}
+
+module.exports = { SessionError, createSession, rotateSession, revokeByRefreshToken, isActive, isSessionLive };
@@ -0,0 +1,27 @@
+// Storage backend for uploaded files.
+// The driver is picked with STORAGE_DRIVER in .env:
+//   supabase (default) -> Supabase Storage bucket
+//   local              -> files on disk under server/uploads, served at /uploads
+//
+// Every driver exposes the same interface:
+//   put(key, buffer, { contentType })  -> key
+//   get(key)                           -> { buffer, contentType } or null if missing
+//   delete(key)                        -> removes the file (missing files are ignored)
+//   publicUrl(key)                     -> URL the browser can fetch the file from
+//   mount(app)                         -> registers any routes the driver needs to serve files
+
+const drivers = {
+    supabase: () => require('./supabaseStorage'),
+    local: () => require('./localDiskStorage')
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+if (!drivers[driverName]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+const storage = drivers[driverName]();
+storage.name = driverName;
+
+module.exports = storage;
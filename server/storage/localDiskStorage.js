@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const mime = require('mime-types');
+
+const UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../uploads'));
+const PUBLIC_PATH = '/uploads';
+// Absolute base so the links also work when the frontend runs on Live Server
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+// Map a storage key to a path inside UPLOAD_DIR, refusing anything that escapes it
+function resolveKey(key) {
+    const filePath = path.resolve(UPLOAD_DIR, key);
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+async function put(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+}
+
+async function get(key) {
+    try {
+        const buffer = await fs.readFile(resolveKey(key));
+        return {
+            buffer,
+            contentType: mime.lookup(key) || 'application/octet-stream'
+        };
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function remove(key) {
+    try {
+        await fs.unlink(resolveKey(key));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+function publicUrl(key) {
+    const encoded = key.split('/').map(encodeURIComponent).join('/');
+    return `${PUBLIC_BASE_URL}${PUBLIC_PATH}/${encoded}`;
+}
+
+function mount(app) {
+    app.use(PUBLIC_PATH, express.static(UPLOAD_DIR));
+}
+
+module.exports = { put, get, delete: remove, publicUrl, mount };
@@ -0,0 +1,38 @@
+const supabase = require('../supabaseClient');
+
+const BUCKET = process.env.SUPABASE_BUCKET || 'papers';
+
+const bucket = () => supabase.storage.from(BUCKET);
+
+async function put(key, buffer, { contentType } = {}) {
+    const { error } = await bucket().upload(key, buffer, { contentType });
+    if (error) throw error;
+    return key;
+}
+
+async function get(key) {
+    const { data, error } = await bucket().download(key);
+    if (error) {
+        if (/not found/i.test(error.message)) return null;
+        throw error;
+    }
+    return {
+        buffer: Buffer.from(await data.arrayBuffer()),
+        contentType: data.type
+    };
+}
+
+async function remove(key) {
+    const { error } = await bucket().remove([key]);
+    if (error) throw error;
+}
+
+function publicUrl(key) {
+    const { data } = bucket().getPublicUrl(key);
+    return data.publicUrl;
+}
+
+// Files are served by Supabase directly, nothing to mount
+function mount() { }
+
+module.exports = { put, get, delete: remove, publicUrl, mount };
@@ -0,0 +1,42 @@
+// Runs against a throwaway embedded SQLite database and a temporary upload folder
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pyq-test-'));
+after(() => fs.rmSync(process.env.LOCAL_UPLOAD_DIR, { recursive: true, force: true }));
+
+const db = require('../db');
+const { addPaperVersion, restorePaperVersion } = require('../services/papers');
+
+test('rolling a paper from before versions back to version 1 keeps it in full-text search', async () => {
+    const uploader = await db.users.create({ first_name: 'Asha', last_name: 'R', email: 'asha@example.com', phone: '1', password: 'x' });
+    const legacy = await db.papers.create({
+        subject: 'Operating Systems',
+        course_code: 'BCSE202L',
+        category: 'CAT1',
+        exam_year: 2024,
+        exam_name: 'Fall 2024',
+        file_path: '/uploads/legacy.pdf',
+        file_key: 'legacy.pdf',
+        content_text: 'explain semaphores and deadlock avoidance',
+        text_source: 'pdf',
+        uploader_id: uploader.id,
+        status: 'approved'
+    });
+
+    // Supabase's findById row has no search text
+    const { content_text, ...paper } = await db.papers.findById(legacy.id);
+
+    await addPaperVersion(paper, { file_path: '/uploads/rescan.pdf', file_key: 'rescan.pdf', content_text: 'a clearer scan' }, uploader.id);
+    await restorePaperVersion(paper, 1);
+
+    const found = await db.papers.search({ query: 'semaphores' });
+    assert.deepStrictEqual(found.map(p => p.id), [legacy.id]);
+    assert.strictEqual((await db.papers.findById(legacy.id)).file_path, '/uploads/legacy.pdf');
+});
@@ -0,0 +1,65 @@
+// Badge rules. Each badge names the events that can earn it and a test on the user's stats
+// (db.badges.statsFor). services/badges.js runs the rules for an event; GET /api/badges hands
+// the list to the frontend. Ids are stored in user_badges, so never rename one.
+const BADGE_EVENTS = {
+    uploadApproved: 'upload_approved',
+    paperDownloaded: 'paper_downloaded'
+};
+
+const BADGES = [
+    {
+        id: 'first_upload',
+        name: 'First Upload',
+        icon: '🌱',
+        description: 'Had a first paper approved',
+        events: [BADGE_EVENTS.uploadApproved],
+        earned: stats => stats.uploads >= 1
+    },
+    {
+        id: 'ten_uploads',
+        name: 'Regular Contributor',
+        icon: '📦',
+        description: 'Had 10 papers approved',
+        events: [BADGE_EVENTS.uploadApproved],
+        earned: stats => stats.uploads >= 10
+    },
+    {
+        id: 'fat_collector',
+        name: 'FAT Collector',
+        icon: '📚',
+        description: 'Had 10 FAT papers approved',
+        events: [BADGE_EVENTS.uploadApproved],
+        earned: stats => stats.fat_uploads >= 10
+    },
+    {
+        id: 'full_coverage',
+        name: 'Full Coverage',
+        icon: '🎯',
+        description: 'Had CAT1, CAT2 and FAT papers of one course approved',
+        events: [BADGE_EVENTS.uploadApproved],
+        earned: stats => stats.complete_courses >= 1
+    },
+    {
+        id: 'crowd_favourite',
+        name: 'Crowd Favourite',
+        icon: '🔥',
+        description: 'Papers downloaded 100 times by others',
+        events: [BADGE_EVENTS.paperDownloaded],
+        earned: stats => stats.downloads_received >= 100
+    }
+];
+
+// { id, name, icon, description } for the API, without the rule
+function describeBadge(badge) {
+    return { id: badge.id, name: badge.name, icon: badge.icon, description: badge.description };
+}
+
+// Stored badge ids -> descriptions, skipping ids of badges that no longer exist
+function describeBadges(ids) {
+    return (ids || [])
+        .map(id => BADGES.find(badge => badge.id === id))
+        .filter(Boolean)
+        .map(describeBadge);
+}
+
+module.exports = { BADGE_EVENTS, BADGES, describeBadge, describeBadges };
@@ -0,0 +1,7 @@
+// Course codes are stored and searched without case, spaces or hyphens,
+// so "bcse 202l", "BCSE-202L" and "BCSE202L" are the same course
+function normalizeCourseCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+module.exports = { normalizeCourseCode };
@@ -0,0 +1,6 @@
+// Escape LIKE/ILIKE wildcards so user input only matches itself (backslash is the escape character)
+function escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+module.exports = escapeLike;
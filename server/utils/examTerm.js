@@ -0,0 +1,46 @@
+// Semester fields of a paper. semester_term is Fall, Winter or Summer; academic_year is like
+// "2023-24". A Fall exam opens the academic year, Winter and Summer exams are in its second
+// calendar year, so Fall 2023, Winter 2024 and Summer 2024 are all 2023-24.
+const SEMESTER_TERMS = ['Fall', 'Winter', 'Summer'];
+
+function academicYearFor(term, examYear) {
+    const year = Number(examYear);
+    if (!SEMESTER_TERMS.includes(term) || !Number.isInteger(year) || year < 1000) return null;
+    const start = term === 'Fall' ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+// "2023-24" with the second year following the first
+function isAcademicYear(value) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value));
+    return Boolean(match) && (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+// The term and academic year in a free-text exam name such as "Fall 2023", "Winter Semester
+// 2023-24" or "winter2024". examYear stands in when the name has no year. Either can be null.
+function parseExamName(examName, examYear) {
+    const text = String(examName || '').toLowerCase();
+    const semesterTerm = SEMESTER_TERMS.find(term => text.includes(term.toLowerCase())) || null;
+
+    // An explicit academic year: 2023-24, 2023-2024, 2023/24
+    const range = /(\d{4})\s*[-/]\s*(\d{4}|\d{2})(?!\d)/.exec(text);
+    if (range && (Number(range[1]) + 1) % 100 === Number(range[2]) % 100) {
+        return { semesterTerm, academicYear: `${range[1]}-${range[2].slice(-2)}` };
+    }
+
+    const year = /(?<!\d)(\d{4})(?!\d)/.exec(text);
+    return { semesterTerm, academicYear: academicYearFor(semesterTerm, year ? year[1] : examYear) };
+}
+
+// When the semester `date` falls in began (UTC): Fall runs July-November, Winter December-April
+// and Summer May-June
+function semesterStart(date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    if (month >= 11) return new Date(Date.UTC(year, 11, 1));
+    if (month >= 6) return new Date(Date.UTC(year, 6, 1));
+    if (month >= 4) return new Date(Date.UTC(year, 4, 1));
+    return new Date(Date.UTC(year - 1, 11, 1));
+}
+
+module.exports = { SEMESTER_TERMS, academicYearFor, isAcademicYear, parseExamName, semesterStart };
@@ -0,0 +1,40 @@
+// Content fingerprints for uploaded papers, used to catch re-uploads
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+function contentHash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Difference hash (dHash): shrink to 9x8 greyscale and record whether each pixel is
+// brighter than its right-hand neighbour. 64 bits as 16 hex characters. Re-encoded,
+// resized or slightly recompressed copies of a photo end up a few bits apart.
+async function perceptualHash(buffer) {
+    const pixels = await sharp(buffer)
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two perceptual hashes
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+        bits += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return bits;
+}
+
+module.exports = { contentHash, perceptualHash, hammingDistance };
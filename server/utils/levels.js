@@ -0,0 +1,45 @@
+// Level rules: the server computes levels with these, and GET /api/levels hands them to the
+// frontend, which builds the FAQ and level badges from them. Change them here only.
+
+// Contribution levels by points, highest first
+const LEVELS = [
+    { name: 'Legendary', icon: '🦅', minPoints: 4000 },
+    { name: 'Diamond', icon: '💎', minPoints: 3000 },
+    { name: 'Gold', icon: '🥇', minPoints: 2000 },
+    { name: 'Silver', icon: '🥈', minPoints: 0 }
+];
+
+// Points for an approved upload
+const UPLOAD_POINTS = 50;
+
+// Reaching this level makes a user eligible for prize money (services/rewards.js)
+const REWARD_LEVEL = 'Legendary';
+
+function levelForPoints(points) {
+    return LEVELS.find(level => (points || 0) >= level.minPoints).name;
+}
+
+// The level above the one `points` reaches and how many points are missing, or nulls at the top
+function nextLevelFor(points) {
+    const next = LEVELS.filter(level => level.minPoints > (points || 0)).pop();
+    return next
+        ? { nextLevel: next.name, pointsToNextLevel: next.minPoints - (points || 0) }
+        : { nextLevel: null, pointsToNextLevel: null };
+}
+
+// The rules as the API returns them, lowest level first with each level's point range
+function levelRules() {
+    const ascending = [...LEVELS].reverse();
+    return {
+        uploadPoints: UPLOAD_POINTS,
+        rewardLevel: REWARD_LEVEL,
+        levels: ascending.map((level, i) => ({
+            name: level.name,
+            icon: level.icon,
+            minPoints: level.minPoints,
+            maxPoints: i + 1 < ascending.length ? ascending[i + 1].minPoints - 1 : null
+        }))
+    };
+}
+
+module.exports = { LEVELS, UPLOAD_POINTS, REWARD_LEVEL, levelForPoints, nextLevelFor, levelRules };
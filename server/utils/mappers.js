@@ -0,0 +1,154 @@
+// Map database rows (snake_case) to the camelCase shape the frontend expects
+const { snippetToHtml } = require('./snippet');
+const { levelForPoints } = require('./levels');
+const { describeBadges } = require('./badges');
+
+function mapPaper(p) {
+    return {
+        _id: p.id,
+        id: p.id,
+        subject: p.subject,
+        courseCode: p.course_code,
+        examYear: p.exam_year,
+        examName: p.exam_name,
+        category: p.category,
+        slot: p.slot || null,
+        semesterTerm: p.semester_term || null,
+        academicYear: p.academic_year || null,
+        courseId: p.course_id || null,
+        filePath: p.file_path,
+        thumbnailUrl: p.thumbnail_url || null,
+        status: p.status,
+        hidden: Boolean(p.hidden_at),
+        version: p.version || 1,
+        likeCount: p.like_count || 0,
+        downloadCount: p.download_count || 0,
+        // Only search results have one: HTML-escaped text with the matched words in <mark>
+        snippet: snippetToHtml(p.snippet),
+        uploader: p.uploader ? {
+            id: p.uploader_id,
+            firstName: p.uploader.first_name,
+            lastName: p.uploader.last_name,
+            profilePic: p.uploader.profile_pic || null,
+            level: levelForPoints(p.uploader.points),
+            badges: describeBadges(p.uploader.badges)
+        } : null
+    };
+}
+
+// One file in a paper's version history
+function mapPaperVersion(v) {
+    return {
+        version: v.version,
+        filePath: v.file_path,
+        thumbnailUrl: v.thumbnail_url || null,
+        uploadedBy: v.uploader ? {
+            firstName: v.uploader.first_name,
+            lastName: v.uploader.last_name
+        } : null,
+        createdAt: v.created_at
+    };
+}
+
+// Own profile, so it includes contact details; never includes the password hash
+function mapUser(user) {
+    return {
+        id: user.id,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        email: user.email,
+        phone: user.phone,
+        bio: user.bio || '',
+        points: user.points || 0,
+        level: levelForPoints(user.points),
+        role: user.role || 'student',
+        // null without a picture, in every response (the column defaults to '')
+        profilePic: user.profile_pic || null
+    };
+}
+
+// Another user's profile as anyone may see it: no email, phone or role
+function mapPublicUser(user) {
+    return {
+        id: user.id,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        bio: user.bio || '',
+        profilePic: user.profile_pic || null,
+        level: levelForPoints(user.points)
+    };
+}
+
+// A report as moderators see it, with the reporter's name
+function mapReport(r) {
+    return {
+        id: r.id,
+        paperId: r.paper_id,
+        reason: r.reason,
+        note: r.note,
+        status: r.status,
+        reporter: r.reporter ? {
+            firstName: r.reporter.first_name,
+            lastName: r.reporter.last_name
+        } : null,
+        createdAt: r.created_at
+    };
+}
+
+// A catalog course; paperCount is only there when the query counted papers
+function mapCourse(c) {
+    return {
+        id: c.id,
+        code: c.code,
+        name: c.name,
+        school: c.school || null,
+        credits: c.credits === null || c.credits === undefined ? null : c.credits,
+        ...(c.paper_count !== undefined && { paperCount: c.paper_count })
+    };
+}
+
+// A leaderboard row: points and uploads in the chosen period, level from the user's total points
+function mapLeaderboardEntry(row) {
+    return {
+        rank: row.place,
+        user: {
+            id: row.user_id,
+            firstName: row.first_name,
+            lastName: row.last_name,
+            profilePic: row.profile_pic || null,
+            level: levelForPoints(row.total_points)
+        },
+        points: row.points,
+        uploads: row.uploads
+    };
+}
+
+// A reward request. Owners only see the last 4 digits of the account number; admins paying it
+// out pass revealAccount and also get the requester's name and email.
+function mapRewardRequest(r, { revealAccount = false } = {}) {
+    const accountNumber = r.account_number && !revealAccount ? `••••${r.account_number.slice(-4)}` : r.account_number;
+    return {
+        id: r.id,
+        points: r.points,
+        status: r.status,
+        payoutMethod: r.payout_method,
+        upiId: r.upi_id || null,
+        accountName: r.account_name || null,
+        accountNumber: accountNumber || null,
+        ifsc: r.ifsc || null,
+        rejectionReason: r.rejection_reason || null,
+        reviewedAt: r.reviewed_at || null,
+        paidAt: r.paid_at || null,
+        createdAt: r.created_at,
+        ...(revealAccount && r.user && {
+            user: {
+                id: r.user_id,
+                firstName: r.user.first_name,
+                lastName: r.user.last_name,
+                email: r.user.email
+            }
+        })
+    };
+}
+
+module.exports = { mapPaper, mapPaperVersion, mapUser, mapPublicUser, mapReport, mapCourse, mapLeaderboardEntry, mapRewardRequest };
@@ -0,0 +1,92 @@
+// Checks an uploaded paper file by its content rather than the name or MIME type the browser sent
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 20;
+const MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024;
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES, 10) || 50;
+// All files of one upload together, since they are held in memory until stored
+const MAX_UPLOAD_TOTAL_MB = parseInt(process.env.MAX_UPLOAD_TOTAL_MB, 10) || 100;
+const MAX_UPLOAD_TOTAL_BYTES = MAX_UPLOAD_TOTAL_MB * 1024 * 1024;
+
+// Allowed file types, recognised by their leading "magic" bytes
+const FILE_TYPES = [
+    { name: 'PDF', ext: '.pdf', contentType: 'application/pdf', matches: b => b.subarray(0, 1024).includes('%PDF-') },
+    { name: 'JPEG', ext: '.jpg', contentType: 'image/jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { name: 'PNG', ext: '.png', contentType: 'image/png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { name: 'WebP', ext: '.webp', contentType: 'image/webp', matches: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+function sniffFileType(buffer) {
+    return FILE_TYPES.find(type => type.matches(buffer)) || null;
+}
+
+// Resolves to { type, pageCount } for a usable file, or { error } saying what is wrong with it
+async function inspectPaperFile(buffer) {
+    const type = sniffFileType(buffer);
+    if (!type) {
+        return { error: `Only ${FILE_TYPES.map(t => t.name).join(', ')} files are allowed` };
+    }
+
+    if (type.contentType !== 'application/pdf') {
+        try {
+            await sharp(buffer).metadata();
+        } catch (e) {
+            return { error: 'The image is damaged or incomplete' };
+        }
+        return { type, pageCount: 1 };
+    }
+
+    let pageCount;
+    try {
+        const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+        if (pdf.isEncrypted) return { error: 'Password-protected PDFs are not allowed, please upload an unlocked copy' };
+        pageCount = pdf.getPageCount();
+    } catch (e) {
+        return { error: 'The PDF is damaged or incomplete' };
+    }
+
+    if (pageCount === 0) return { error: 'The PDF has no pages' };
+    if (pageCount > MAX_PDF_PAGES) return { error: `PDFs can have at most ${MAX_PDF_PAGES} pages` };
+
+    return { type, pageCount };
+}
+
+// Width of a merged page in PDF points (A4); the height follows the photo's aspect ratio
+const PAGE_WIDTH = 595;
+// Longest side of a page image inside a merged PDF, in pixels
+const MAX_PAGE_IMAGE_SIZE = 2000;
+
+// Combine page photos ([{ buffer, rotation }], rotation in degrees clockwise) into one PDF.
+// Resolves to { pdf, firstPage }: the PDF bytes and the first page's image as it was placed.
+// The output only depends on the input images, so the same photos give the same PDF hash.
+async function imagesToPdf(pages) {
+    const pdf = await PDFDocument.create();
+    pdf.setProducer('VIT PYQ');
+    pdf.setCreator('VIT PYQ');
+    pdf.setCreationDate(new Date(0));
+    pdf.setModificationDate(new Date(0));
+
+    let firstPage = null;
+    for (const { buffer, rotation } of pages) {
+        // EXIF orientation first, then the user's rotation (sharp does one rotation per pipeline)
+        const jpeg = await sharp(buffer)
+            .rotate()
+            .toBuffer()
+            .then(upright => sharp(upright)
+                .rotate(rotation || 0)
+                .resize(MAX_PAGE_IMAGE_SIZE, MAX_PAGE_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 80 })
+                .toBuffer());
+        if (!firstPage) firstPage = jpeg;
+
+        const image = await pdf.embedJpg(jpeg);
+        const height = PAGE_WIDTH * image.height / image.width;
+        pdf.addPage([PAGE_WIDTH, height]).drawImage(image, { x: 0, y: 0, width: PAGE_WIDTH, height });
+    }
+
+    return { pdf: Buffer.from(await pdf.save()), firstPage };
+}
+
+module.exports = { MAX_UPLOAD_MB, MAX_UPLOAD_BYTES, MAX_PDF_PAGES, MAX_UPLOAD_TOTAL_MB, MAX_UPLOAD_TOTAL_BYTES, sniffFileType, inspectPaperFile, imagesToPdf };
@@ -0,0 +1,57 @@
+// Searchable text of a paper. PDFs with a text layer are read at upload; scans and photos
+// go through OCR later (scripts/indexPaperText.js), since OCR is too slow for a request.
+const { withPdf, renderPage } = require('./pdfjs');
+
+const MAX_TEXT_LENGTH = 100000;
+// Less text than this means the PDF is a scan without a real text layer
+const MIN_TEXT_LENGTH = 20;
+const MAX_OCR_PAGES = 20;
+const OCR_PAGE_WIDTH = 1600;
+
+// One line of plain text; control characters are dropped so they can mark search snippets
+const cleanText = text => text.replace(/[\s\u0000-\u001f]+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+
+// The PDF's own text, or null when it has none worth indexing
+async function extractPdfText(buffer) {
+    const text = await withPdf(buffer, async pdf => {
+        const pages = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const content = await (await pdf.getPage(i)).getTextContent();
+            pages.push(content.items.map(item => item.str).join(' '));
+        }
+        return pages.join('\n');
+    });
+
+    const cleaned = cleanText(text);
+    return cleaned.length >= MIN_TEXT_LENGTH ? cleaned : null;
+}
+
+// A tesseract.js worker for ocrPaper. The English model comes from the
+// @tesseract.js-data/eng package, so nothing is downloaded at runtime.
+async function createOcrWorker() {
+    const { createWorker } = require('tesseract.js');
+    const eng = require('@tesseract.js-data/eng');
+    return createWorker(eng.code, 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' });
+}
+
+// OCR an image, or the first MAX_OCR_PAGES pages of a PDF
+async function ocrPaper(worker, buffer, contentType) {
+    const images = contentType === 'application/pdf'
+        ? await withPdf(buffer, async pdf => {
+            const rendered = [];
+            for (let i = 1; i <= Math.min(pdf.numPages, MAX_OCR_PAGES); i++) {
+                rendered.push(await renderPage(pdf, i, OCR_PAGE_WIDTH));
+            }
+            return rendered;
+        })
+        : [buffer];
+
+    const texts = [];
+    for (const image of images) {
+        const { data } = await worker.recognize(image);
+        texts.push(data.text);
+    }
+    return cleanText(texts.join('\n'));
+}
+
+module.exports = { extractPdfText, createOcrWorker, ocrPaper };
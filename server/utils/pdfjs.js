@@ -0,0 +1,38 @@
+// pdf.js helpers shared by thumbnails, text extraction and OCR
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+
+// Fonts PDFs refer to without embedding them, shipped with pdfjs-dist
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// pdfjs-dist is an ES module, load it once on first use
+let pdfjsLoading = null;
+const loadPdfjs = () => pdfjsLoading || (pdfjsLoading = import('pdfjs-dist/legacy/build/pdf.mjs'));
+
+// Open a PDF, pass it to `fn` and always release it afterwards
+async function withPdf(buffer, fn) {
+    const pdfjs = await loadPdfjs();
+    const pdf = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONTS,
+        verbosity: 0
+    }).promise;
+
+    try {
+        return await fn(pdf);
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// Render one page (1-based) of an open PDF to PNG at the given pixel width
+async function renderPage(pdf, pageNumber, width) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport, canvas }).promise;
+    return canvas.encode('png');
+}
+
+module.exports = { withPdf, renderPage };
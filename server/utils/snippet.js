@@ -0,0 +1,17 @@
+// Search snippets come out of the database with the matched words between these two
+// control characters (they never appear in extracted text), and go to the browser as
+// HTML-escaped text with the matches wrapped in <mark>.
+const SNIPPET_START = '\u0002';
+const SNIPPET_END = '\u0003';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function snippetToHtml(snippet) {
+    if (!snippet || !snippet.includes(SNIPPET_START)) return null;
+    return snippet
+        .replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+        .split(SNIPPET_START).join('<mark>')
+        .split(SNIPPET_END).join('</mark>');
+}
+
+module.exports = { SNIPPET_START, SNIPPET_END, snippetToHtml };
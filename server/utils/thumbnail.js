@@ -0,0 +1,28 @@
+// Preview images for paper cards: page 1 of a PDF, or a downscaled copy of an image
+const sharp = require('sharp');
+const { withPdf, renderPage } = require('./pdfjs');
+
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 520;
+
+// WebP thumbnail of a paper file, cropped from the top so the header of the paper shows
+async function createThumbnail(buffer, contentType) {
+    // Page 1 is rendered at twice the thumbnail width so the crop stays sharp
+    const source = contentType === 'application/pdf'
+        ? await withPdf(buffer, pdf => renderPage(pdf, 1, THUMBNAIL_WIDTH * 2))
+        : buffer;
+
+    return sharp(source)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover', position: 'top' })
+        .webp({ quality: 75 })
+        .toBuffer();
+}
+
+// Thumbnails live next to the file: <key>.pdf -> <key>.thumb.webp
+function thumbnailKeyFor(fileKey) {
+    return `${fileKey.replace(/\.[^./]+$/, '')}.thumb.webp`;
+}
+
+module.exports = { createThumbnail, thumbnailKeyFor };
@@ -0,0 +1,38 @@
+// Trigram similarity as computed by Postgres' pg_trgm, so the SQLite driver can rank fuzzy
+// matches the same way (registered as SQL functions in db/sqlite/index.js)
+
+// Each word, lower-cased and padded with two spaces in front and one behind, split into 3-letter runs
+function trigrams(text) {
+    const set = new Set();
+    for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        const padded = `  ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) set.add(padded.slice(i, i + 3));
+    }
+    return set;
+}
+
+// Shared trigrams over all trigrams, 0 to 1
+function similarity(a, b) {
+    const left = trigrams(a);
+    const right = trigrams(b);
+    if (left.size === 0 || right.size === 0) return 0;
+    let shared = 0;
+    for (const trigram of left) if (right.has(trigram)) shared++;
+    return shared / (left.size + right.size - shared);
+}
+
+// Best similarity between `a` and any run of consecutive words in `b`, so a short search
+// still scores high against a long subject. pg_trgm also compares parts of words, which can
+// make its word_similarity a little higher than this.
+function wordSimilarity(a, b) {
+    const words = String(b || '').match(/[\p{L}\p{N}]+/gu) || [];
+    let best = 0;
+    for (let start = 0; start < words.length; start++) {
+        for (let end = start + 1; end <= words.length; end++) {
+            best = Math.max(best, similarity(a, words.slice(start, end).join(' ')));
+        }
+    }
+    return best;
+}
+
+module.exports = { similarity, wordSimilarity };
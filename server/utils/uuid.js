@@ -0,0 +1,5 @@
+// Ids are uuids in both drivers; checking the shape first keeps a malformed id from reaching
+// Postgres, which rejects it with an error instead of finding nothing
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+module.exports = { UUID_PATTERN };